@@ -0,0 +1,97 @@
+// Pre-renders every route of the mappings into the `build` folder, so that the site works on a static hosting
+// without any JavaScript on first load. Run `npm run build` first.
+// Static hostings ignore the query string, so the listing variants (filters and pages) are rendered by the browser,
+// see `window.__RENDERED_URL__` in ~/src/index.js.
+const { paths } = require("../server/setup");
+const fs = require("fs");
+const path = require("path");
+const { fetchMappings, fetchRedirects, renderPage, renderDocument } = require("../src/server");
+const { default: getUrlSlug } = require("../src/utils/getUrlSlug");
+const { getLanguagePrefix, languages } = require("../src/utils/languages");
+const { offlineSlug } = require("../src/utils/offline");
+const { getSearchSlug } = require("../src/utils/search");
+const { getRedirectPage, getRedirectsFileLines, redirectsFileName } = require("../src/utils/redirects");
+
+const templatePath = path.join(paths.appBuild, "index.html");
+// the homepage overwrites the index.html, the service worker falls back to the unrendered one for unknown routes
+const appShellPath = path.join(paths.appBuild, "app-shell.html");
+const notFoundSlug = "__not_found__";
+
+function readTemplate() {
+  // the app shell is kept by the previous export
+  const sourcePath = fs.existsSync(appShellPath) ? appShellPath : templatePath;
+  const template = fs.existsSync(sourcePath) && fs.readFileSync(sourcePath, "utf8");
+
+  if (!template || !template.includes('<div id="root"></div>')) {
+    throw new Error("Missing clean build output, run `npm run build` first.");
+  }
+
+  return template;
+}
+
+function writePage(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  console.log(`  ${path.relative(paths.appBuild, filePath)}`);
+}
+
+// a failed (or missing) page must not be deployed as a regular one
+async function renderRoute(url, expectedStatus = 200) {
+  const page = await renderPage(url);
+
+  if (page.status !== expectedStatus) {
+    throw new Error(`Rendering of ${url} responded with the status ${page.status} instead of ${expectedStatus}.`);
+  }
+
+  return page;
+}
+
+async function exportStatic() {
+  const template = readTemplate();
+  const mappings = await fetchMappings();
+
+  console.log("Exporting pages:");
+  writePage(appShellPath, template);
+
+  for (const slug of Object.keys(mappings)) {
+    const page = await renderRoute(getUrlSlug(slug));
+    writePage(path.join(paths.appBuild, slug, "index.html"), renderDocument(template, page));
+  }
+
+  // search page of every language with a homepage, the results are rendered by the browser
+  for (const { codename } of languages) {
+    if (mappings[getLanguagePrefix(codename).join("/")]) {
+      const searchSlug = getSearchSlug(codename);
+      const searchPage = await renderRoute(getUrlSlug(searchSlug));
+      writePage(path.join(paths.appBuild, ...searchSlug, "index.html"), renderDocument(template, searchPage));
+    }
+  }
+
+  // GitHub pages (and most of the static hostings) serve 404.html for unknown URLs
+  const notFoundPage = await renderRoute(getUrlSlug(notFoundSlug), 404);
+  writePage(path.join(paths.appBuild, "404.html"), renderDocument(template, notFoundPage));
+
+  // cached by the service worker for the pages which were not visited before
+  const offlinePage = await renderRoute(getUrlSlug(offlineSlug));
+  writePage(path.join(paths.appBuild, offlineSlug, "index.html"), renderDocument(template, offlinePage));
+
+  const redirectRules = await fetchRedirects();
+  const redirects = getRedirectsFileLines(redirectRules);
+
+  // hostings without the `_redirects` support (i.e. GitHub pages) get a page redirecting to the new URL
+  for (const slug of Object.keys(redirectRules)) {
+    const filePath = path.join(paths.appBuild, slug, "index.html");
+    if (!fs.existsSync(filePath)) {
+      writePage(filePath, getRedirectPage(redirectRules[slug].url));
+    }
+  }
+
+  if (redirects.length > 0) {
+    writePage(path.join(paths.appBuild, redirectsFileName), `${redirects.join("\n")}\n`);
+  }
+}
+
+exportStatic().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
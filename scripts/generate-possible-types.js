@@ -0,0 +1,75 @@
+// Refreshes `src/possibleTypes.json` (types implementing the `_Item` interface and other abstract types)
+// from the introspection of the GraphQL schema. Run it whenever a content type is added or removed.
+// With `--check` the file is not written, the script fails when it differs from the schema (used by the CI).
+const { paths } = require("../server/setup");
+const fetch = require("cross-fetch");
+const fs = require("fs");
+const path = require("path");
+const { getGraphQLEndpoint } = require("../src/createApolloClient");
+
+const possibleTypesPath = path.join(paths.appSrc, "possibleTypes.json");
+const checkOnly = process.argv.includes("--check");
+
+const introspectionQuery = `
+  {
+    __schema {
+      types {
+        kind
+        name
+        possibleTypes {
+          name
+        }
+      }
+    }
+  }
+`;
+
+async function generatePossibleTypes() {
+  const response = await fetch(getGraphQLEndpoint(), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ query: introspectionQuery }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Schema introspection failed with status ${response.status}`);
+  }
+
+  const { data, errors } = await response.json();
+
+  if (errors) {
+    throw new Error(`Schema introspection failed: ${errors.map(error => error.message).join(", ")}`);
+  }
+
+  // sorted to keep the diffs of the checked in file readable
+  const possibleTypes = data.__schema.types
+    .filter(type => type.possibleTypes)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .reduce((result, type) => {
+      result[type.name] = type.possibleTypes.map(possibleType => possibleType.name).sort();
+      return result;
+    }, {});
+
+  const content = `${JSON.stringify(possibleTypes, null, 2)}\n`;
+  const relativePath = path.relative(process.cwd(), possibleTypesPath);
+
+  if (checkOnly) {
+    const current = fs.existsSync(possibleTypesPath) && fs.readFileSync(possibleTypesPath, "utf8");
+
+    if (current !== content) {
+      throw new Error(`${relativePath} does not match the GraphQL schema, run \`npm run possible-types\` and commit the result.`);
+    }
+
+    console.log(`${relativePath} is up to date`);
+    return;
+  }
+
+  fs.writeFileSync(possibleTypesPath, content);
+
+  console.log(`Generated ${relativePath}`);
+}
+
+generatePossibleTypes().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
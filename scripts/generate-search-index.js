@@ -0,0 +1,20 @@
+// Generates the search index of all the languages into the `build` folder. Run `npm run build` first.
+const { paths } = require("../server/setup");
+const fs = require("fs");
+const path = require("path");
+const { fetchSearchIndexes } = require("../src/server");
+const { searchIndexFileName } = require("../src/utils/search");
+
+async function generateSearchIndex() {
+  const indexes = await fetchSearchIndexes();
+
+  fs.mkdirSync(paths.appBuild, { recursive: true });
+  fs.writeFileSync(path.join(paths.appBuild, searchIndexFileName), JSON.stringify(indexes));
+
+  console.log(`Generated ${searchIndexFileName} into ${path.relative(process.cwd(), paths.appBuild)}`);
+}
+
+generateSearchIndex().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,21 @@
+// Generates sitemap.xml and robots.txt referencing it into the `build` folder. Run `npm run build` first.
+const { paths } = require("../server/setup");
+const fs = require("fs");
+const path = require("path");
+const { fetchMappings } = require("../src/server");
+const { getRobotsTxt, getSitemap, sitemapFileName } = require("../src/utils/getSitemap");
+
+async function generateSitemap() {
+  const mappings = await fetchMappings();
+
+  fs.mkdirSync(paths.appBuild, { recursive: true });
+  fs.writeFileSync(path.join(paths.appBuild, sitemapFileName), getSitemap(mappings));
+  fs.writeFileSync(path.join(paths.appBuild, "robots.txt"), getRobotsTxt());
+
+  console.log(`Generated ${sitemapFileName} and robots.txt into ${path.relative(process.cwd(), paths.appBuild)}`);
+}
+
+generateSitemap().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+const { paths } = require("./setup");
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const { fetchMappings, renderPage, renderDocument } = require("../src/server");
+const { getRobotsTxt, getSitemap, sitemapFileName } = require("../src/utils/getSitemap");
+
+const PORT = process.env.PORT || 3001;
+const publicUrl = process.env.PUBLIC_URL;
+const templatePath = path.join(paths.appBuild, "index.html");
+
+if (!fs.existsSync(templatePath)) {
+  console.error("Missing build output, run `npm run build` first.");
+  process.exit(1);
+}
+
+const template = fs.readFileSync(templatePath, "utf8");
+const app = express();
+
+app.get(`${publicUrl}/${sitemapFileName}`, async (req, res, next) => {
+  try {
+    res.type("application/xml").send(getSitemap(await fetchMappings()));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get(`${publicUrl}/robots.txt`, (req, res) => {
+  res.type("text/plain").send(getRobotsTxt());
+});
+
+// local stub endpoint for the forms submission, registered outside of production or when REACT_APP_FORM_ACTION_URL points to it
+const formStubPath = `${publicUrl}/form-stub`;
+const isFormStubAction = () => {
+  try {
+    return new URL(process.env.REACT_APP_FORM_ACTION_URL, "http://localhost").pathname === formStubPath;
+  } catch {
+    return false;
+  }
+};
+
+if (process.env.NODE_ENV !== "production" || isFormStubAction()) {
+  app.post(formStubPath, express.urlencoded({ extended: false }), (req, res) => {
+    // just the field names, the values are personal data of the visitors
+    console.log(`Form submitted with the fields: ${Object.keys(req.body).join(", ")}`);
+    res.set("Access-Control-Allow-Origin", "*").json({ success: true });
+  });
+}
+
+app.use(publicUrl || "/", express.static(paths.appBuild, { index: false }));
+
+app.get("*", async (req, res) => {
+  try {
+    const page = await renderPage(req.originalUrl);
+
+    // i.e. out of range listing pages and the redirects (see ~/src/utils/redirects.js)
+    if (page.context.url) {
+      res.redirect(page.status, page.context.url);
+      return;
+    }
+
+    res.status(page.status).send(renderDocument(template, page));
+  } catch (error) {
+    // the client side application is still able to render the page
+    console.error(`Server side rendering of ${req.originalUrl} failed`, error);
+    res.status(500).send(template);
+  }
+});
+
+app.listen(PORT, () => {
+  console.log(`Server side rendered site is running on http://localhost:${PORT}${publicUrl}`);
+});
@@ -0,0 +1,27 @@
+// Prepares the Node environment to run the application sources (JSX, ES modules)
+// the same way as the `react-scripts build` does.
+process.env.NODE_ENV = process.env.NODE_ENV || "production";
+process.env.BABEL_ENV = process.env.BABEL_ENV || process.env.NODE_ENV;
+
+// loads .env files the same way as react-scripts
+require("react-scripts/config/env");
+const paths = require("react-scripts/config/paths");
+
+// PUBLIC_URL is derived from `homepage` in package.json for the client bundle
+process.env.PUBLIC_URL = paths.publicUrlOrPath.slice(0, -1);
+
+// absolute URLs (sitemap, hreflang links) can't use the browser location
+if (!process.env.REACT_APP_SITE_ORIGIN) {
+  const { homepage } = require(paths.appPackageJson);
+  process.env.REACT_APP_SITE_ORIGIN = homepage ? new URL(homepage).origin : `http://localhost:${process.env.PORT || 3001}`;
+}
+
+require("@babel/register")({
+  presets: [[require.resolve("babel-preset-react-app"), { runtime: "automatic" }]],
+  plugins: [require.resolve("@babel/plugin-transform-modules-commonjs")],
+  only: [paths.appSrc],
+  babelrc: false,
+  configFile: false,
+});
+
+module.exports = { paths };
@@ -1,260 +1,190 @@
-import { Router, Switch, Route } from "react-router-dom";
-import React, { useState } from "react";
-import ReactGA from 'react-ga';
-import { createBrowserHistory } from 'history';
-import { gql, useQuery } from "@apollo/client";
+import { Switch, Route } from "react-router-dom";
+import React, { useMemo } from "react";
+import { useQuery } from "@apollo/client";
 import get from "lodash.get";
 import Post from "./Post";
-import { getUrlFromMappingByPathName } from "./utils";
+import { getAlternateUrlsFromMapping, getUrlFromMappingByPathName } from "./utils";
+import { getSlugFromPathName } from "./utils/getUrlFromMapping";
+import { defaultLanguage, getLanguageFromSlug, getLanguagePrefix, languages } from "./utils/languages";
+import { getSearchPageLanguage, getSearchSlug } from "./utils/search";
+import { isOffline, offlineSlug } from "./utils/offline";
+import { getRedirects, resolveRedirect } from "./utils/redirects";
+import { getLanguagesData, getSiteMappings, homepageCodename } from "./utils/getMappings";
 import LandingPage from "./LandingPage";
 import ListingPage from "./ListingPage";
 import SimplePage from "./SimplePage";
-import { UnknownComponent } from "./components";
-import {
-  actionFields,
-  assetFields,
-  seoFields,
-  subpageNavigationItemFields,
-} from "./graphQLFragments";
+import SearchPage from "./SearchPage";
+import OfflinePage from "./OfflinePage";
+import { ErrorPage, LanguageContext, NavigationLoader, RedirectTo, SiteContext, UnknownComponent } from "./components";
+import { homePageQuery } from "./graphQLQueries";
 import GraphQLLoader from "./components/GraphQLLoader";
 import getSeo from "./utils/getSeo";
-import { getListingPaginationAndFilter } from "./utils/queryString";
-
-export default function App(props) {
-  const homePageQuery = gql`
-    query HomePageQuery($codename: String!) {
-      post_All {
-        items {
-          slug
-          _system_ {
-            codename
-            type {
-              _system_ {
-                codename
-              }
-            }
-          }
-        }
-      }
-      homepage(codename: $codename) {
-        content {
-          ... on LandingPage {
-            _system_ {
-              codename
-              type {
-                _system_ {
-                  codename
-                }
-              }
-            }
-          }
-        }
-        _seo {
-          ...SeoFields
-        }
-        headerLogo {
-          ...AssetFields
-        }
-        title
-        favicon {
-          url
-        }
-        font {
-          items {
-            _system_ {
-              codename
-            }
-          }
-        }
-        palette {
-          items {
-            _system_ {
-              codename
-            }
-          }
-        }
-        mainMenu {
-          ... on Menu {
-            _system_ {
-              codename
-            }
-            actions {
-              items {
-                ... on Action {
-                  ...ActionFields
-                }
-              }
-            }
-          }
-        }
-        subpages {
-          items {
-            ... on NavigationItem {
-              ...SubpageNavigationItemFields
-              subpages {
-                items {
-                  ...SubpageNavigationItemFields
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-
-    ${seoFields}
-    ${assetFields}
-    ${actionFields}
-    ${subpageNavigationItemFields}
-  `;
-
-  const getNavigationData = (parrentSlug, item) => {
-    if (item._system_?.type?._system_.codename === "post") {
-      return {
-        slug: parrentSlug.concat([item.slug]),
-        navigationType: "post",
-        navigationCodename: item._system_?.codename,
-        contentCodename: item._system_?.codename,
-        contentType: item._system_?.type._system_.codename,
-      };
-    }
-    return {
-      slug: parrentSlug.concat([item.slug]),
-      navigationType: "navigationItem",
-      navigationCodename: item._system_?.codename,
-      contentCodename: item.content._system_.codename,
-      contentType: item.content._system_.type._system_.codename,
-    };
+import { getListingPagination } from "./utils/queryString";
+
+const getSiteConfiguration = (data, language) => {
+  return {
+    asset: get(data, "homepage.headerLogo", null),
+    title: get(data, "homepage.title", ""),
+    mainMenuActions: get(
+      data,
+      "homepage.mainMenu.actions.items",
+      []
+    ),
+    footerMenuActions: get(
+      data,
+      "homepage.footerMenu.actions.items",
+      []
+    ),
+    favicon: get(data, "homepage.favicon.url", null),
+    font: get(data, "homepage.font.items[0]._system_.codename", null),
+    palette: get(data, "homepage.palette.items[0]._system_.codename", null),
+    language,
   };
+};
 
-  const homepageCodename = "homepage";
-
-  const getMappings = (data) => {
-    const mappings = [
-      {
-        slug: [],
-        navigationCodename: homepageCodename,
-        navigationType: "homepage",
-        contentCodename: data.homepage.content._system_.codename,
-        contentType: data.homepage.content._system_.type._system_.codename,
-      },
-    ];
-
-    data.homepage.subpages.items.forEach((item) => {
-      const navigationData = getNavigationData([], item);
-      mappings.push(navigationData);
-      mappings.push(
-        ...item.subpages.items.map((subItem) =>
-          getNavigationData(navigationData.slug, subItem)
-        )
-      );
-
-      const content = item.content;
-      if (content._system_.type._system_.codename === "listing_page") {
-        const listingData = data[`${content.contentType}_All`];
-        if (!listingData) {
-          console.error(
-            `Unknown listing page content type: ${content.contentType}`
-          );
-        } else {
-          mappings.push(
-            ...listingData.items.map((subItem) =>
-              getNavigationData(navigationData.slug, subItem)
-            )
-          );
-        }
-      }
-    });
+export default function App() {
+  const { loading, error, data, refetch } = useQuery(homePageQuery, {
+    variables: { codename: homepageCodename },
+  });
 
-    return mappings.reduce((result, item) => {
-      result[[].concat(item.slug).join("/")] = {
-        navigationCodename: item.navigationCodename,
-        navigationType: item.navigationType,
-        contentCodename: item.contentCodename,
-        contentType: item.contentType,
-      };
+  if (!data) {
+    return <SiteLoader loading={loading} error={error} refetch={refetch} />;
+  }
 
-      return result;
-    }, {});
-  };
+  // navigation levels deeper than the HomePageQuery fetches are loaded by the following queries
+  return (
+    <NavigationLoader data={data} fallback={SiteLoader}>
+      {navigationData => <Site data={navigationData} />}
+    </NavigationLoader>
+  );
+}
 
-  const getSiteConfiguration = (data) => {
-    return {
-      asset: get(data, "homepage.headerLogo", null),
-      title: get(data, "homepage.title", ""),
-      mainMenuActions: get(
-        data,
-        "homepage.mainMenu.actions.items",
-        []
-      ),
-      favicon: get(data, "homepage.favicon.url", null),
-      font: get(data, "homepage.font.items[0]._system_.codename", null),
-      palette: get(data, "homepage.palette.items[0]._system_.codename", null),
-    };
-  };
+// nothing was loaded yet, so the site configuration is not available
+function SiteLoader({ loading, error, refetch }) {
+  if (error) {
+    const siteConfiguration = getSiteConfiguration(null, defaultLanguage);
 
-  const { loading, error } = useQuery(homePageQuery, {
-    variables: { codename: homepageCodename },
-    onCompleted: (data) => {
-      const mappings = getMappings(data);
-      const siteConfiguration = getSiteConfiguration(data);
+    return isOffline()
+      ? <OfflinePage siteConfiguration={siteConfiguration} mappings={{}} />
+      : <ErrorPage statusCode={500} siteConfiguration={siteConfiguration} mappings={{}} onRetry={() => refetch().catch(() => undefined)} />;
+  }
+  return <GraphQLLoader loading={loading} />;
+}
 
-      setMappings(mappings);
-      setSiteConfiguration(siteConfiguration);
-      setHomepageSeo(getSeo(data.homepage._seo));
-    },
-  });
+function Site({ data }) {
+  // derived from the query result (not in `onCompleted`) to be available during the server render
+  const { mappings, redirects, siteConfigurations, homepageSeos } = useMemo(() => {
+    const siteConfigurations = {};
+    const homepageSeos = {};
 
-  const [mappings, setMappings] = useState(null);
-  const [siteConfiguration, setSiteConfiguration] = useState(null);
-  const [homepageSeo, setHomepageSeo] = useState(null);
+    getLanguagesData(data).forEach(({ language, data }) => {
+      siteConfigurations[language] = getSiteConfiguration(data, language);
+      homepageSeos[language] = getSeo(data.homepage._seo);
+    });
 
-  if (error || loading || !mappings || !siteConfiguration || !homepageSeo) {
-    return <GraphQLLoader error={error} loading={loading} />;
-  }
+    const mappings = getSiteMappings(data);
+    const redirects = getRedirects(get(data, "redirect_All.items", []), mappings);
 
-  const history = createBrowserHistory();
-  if (props.initializeAnalytics) {
-    history.listen(location => {
-      ReactGA.set({ page: location.pathname });
-      ReactGA.pageview(location.pathname);
-    });
-  }
+    return { mappings, redirects, siteConfigurations, homepageSeos };
+  }, [data]);
 
   return (
-    <Router history={history} basename={process.env.PUBLIC_URL}>
-      <Switch>
-        <Route path="/" render={renderPage} />
-      </Switch>
-    </Router>
+    <Switch>
+      <Route path="/" render={renderPage} />
+    </Switch>
   );
 
   function renderPage({ location }) {
     const navigationItem = getUrlFromMappingByPathName(mappings, location.pathname);
+    const slug = getSlugFromPathName(location.pathname);
+    const searchPageLanguage = !navigationItem && getSearchPageLanguage(slug);
+
+    if (searchPageLanguage && siteConfigurations[searchPageLanguage]) {
+      return renderSearchPage(searchPageLanguage);
+    }
+
+    if (!navigationItem && slug === offlineSlug) {
+      return renderOfflinePage();
+    }
+
+    // previous slugs, redirect rules and the URLs differing by the case or the trailing slash
+    const redirect = !navigationItem && resolveRedirect(redirects, mappings, slug);
+
+    if (redirect) {
+      return <RedirectTo to={redirect.url} statusCode={redirect.statusCode} />;
+    }
 
     if (!navigationItem) {
       if (process.env.NODE_ENV === "development") {
         console.error(`Unknown navigation item pathname: ${location.pathname}`);
-        return (
-          <div>
-            <h2>Not found</h2>
-            <pre>{JSON.stringify(mappings, undefined, 2)}</pre>
-          </div>
-        );
       }
-      return <h2>Not found</h2>;
+      return renderWithSite(getLanguageFromSlug(slug), (
+        <ErrorPage statusCode={404}>
+          {process.env.NODE_ENV === "development" && (
+            <pre>{JSON.stringify(mappings, undefined, 2)}</pre>
+          )}
+        </ErrorPage>
+      ));
     }
 
+    const language = navigationItem.routeLanguage;
     const pageProps = {
-      siteConfiguration,
+      siteConfiguration: siteConfigurations[language],
       mappings,
+      language: navigationItem.language,
+      alternates: getAlternateUrlsFromMapping(mappings, navigationItem.navigationCodename),
     };
 
     if (navigationItem.navigationType === "homepage") {
-      pageProps["seo"] = homepageSeo;
+      pageProps["seo"] = homepageSeos[language];
       pageProps["codename"] = navigationItem.contentCodename;
     }
 
+    return renderWithSite(language, renderPageContent(navigationItem, pageProps, location));
+  }
+
+  // error pages rendered within the pages use the site configuration of the route language
+  function renderWithSite(language, content) {
+    const siteConfiguration = siteConfigurations[language] || siteConfigurations[defaultLanguage];
+
+    return (
+      <LanguageContext.Provider value={language}>
+        <SiteContext.Provider value={{ siteConfiguration, mappings }}>
+          {content}
+        </SiteContext.Provider>
+      </LanguageContext.Provider>
+    );
+  }
+
+  function renderSearchPage(language) {
+    const homepageMapping = mappings[getLanguagePrefix(language).join("/")];
+    const alternates = languages
+      .filter(({ codename }) => siteConfigurations[codename])
+      .map(alternate => ({ ...alternate, url: getSearchSlug(alternate.codename).join("/") }));
+
+    return renderWithSite(language, (
+      <SearchPage
+        siteConfiguration={siteConfigurations[language]}
+        mappings={mappings}
+        language={homepageMapping ? homepageMapping.language : language}
+        alternates={alternates}
+      />
+    ));
+  }
+
+  function renderOfflinePage() {
+    const homepageMapping = mappings[getLanguagePrefix(defaultLanguage).join("/")];
+
+    return renderWithSite(defaultLanguage, (
+      <OfflinePage
+        siteConfiguration={siteConfigurations[defaultLanguage]}
+        mappings={mappings}
+        language={homepageMapping ? homepageMapping.language : defaultLanguage}
+      />
+    ));
+  }
+
+  function renderPageContent(navigationItem, pageProps, location) {
     switch (navigationItem.contentType) {
       case "landing_page":
         return (
@@ -270,7 +200,7 @@ export default function App(props) {
           <ListingPage
             {...pageProps}
             codename={navigationItem.navigationCodename}
-            {...getListingPaginationAndFilter(location)}
+            {...getListingPagination(location)}
           />
         );
       case "simple_page":
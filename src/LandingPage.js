@@ -3,10 +3,13 @@ import upperFirst from "lodash.upperfirst";
 import camelCase from "lodash.camelcase";
 import { Layout, UnknownComponent, GraphQLLoader } from "./components";
 import * as sections from "./components/sections";
+import LandingPageSection from "./components/sections/LandingPageSection";
+import { FeatureRowsSkeleton, HeroSkeleton } from "./components/skeletons";
+import { getSectionsQueryFields } from "./components/sections";
 import { Box, makeStyles } from "@material-ui/core";
-import React, { useState } from "react";
+import React from "react";
 import { gql, useQuery } from "@apollo/client";
-import { richTextFields, seoFields } from "./graphQLFragments";
+import { seoFields } from "./graphQLFragments";
 import getSeo from "./utils/getSeo";
 
 const useStyles = makeStyles((theme) => ({
@@ -18,119 +21,28 @@ const useStyles = makeStyles((theme) => ({
   },
 }));
 
+// sections data are loaded at once by the landing page query, see `sectionFragments`
+const sectionsQueryFields = getSectionsQueryFields();
+
 function LandingPage(props) {
   const landingPageFields = gql`
     fragment LandingPageFields on LandingPage {
       sections {
         items {
-          # https://github.com/apollographql/apollo-client/issues/7648#issuecomment-968969367
-          ... on CtaSection {
-            _system_ {
-              codename
-              language {
-                _system_ {
-                  codename
-                }
-              }
-              type {
-                _system_ {
-                  codename
-                }
-              }
-            }
-          }
-          ... on FeaturesSection {
-            _system_ {
-              codename
-              language {
-                _system_ {
-                  codename
-                }
-              }
-              type {
-                _system_ {
-                  codename
-                }
-              }
-            }
-          }
-          ... on ContactSection {
-            _system_ {
-              codename
-              language {
-                _system_ {
-                  codename
-                }
-              }
-              type {
-                _system_ {
-                  codename
-                }
-              }
-            }
-          }
-          ... on HeroSection {
-            _system_ {
-              codename
-              language {
-                _system_ {
-                  codename
-                }
-              }
-              type {
-                _system_ {
-                  codename
-                }
-              }
-            }
-          }
-          ... on ContentSection {
-            _system_ {
-              codename
-              language {
-                _system_ {
-                  codename
-                }
-              }
-              type {
-                _system_ {
-                  codename
-                }
-              }
-            }
-          }
-          ... on ListingSection {
-            _system_ {
-              codename
-              language {
-                _system_ {
-                  codename
-                }
-              }
-              type {
-                _system_ {
-                  codename
-                }
-              }
-            }
-            title
-            subtitle {
-              ...RichTextFields
-            }
-            orderBy
-            contentType
-            numberOfItems
-          }
+          ${sectionsQueryFields.fields}
         }
       }
     }
 
-    ${richTextFields}
+    ${sectionsQueryFields.fragments}
   `;
 
   const landingPageQuery = gql`
-    query LandingPageQuery($codename: String!) {
-      landingPage(codename: $codename) {
+    query LandingPageQuery($codename: String!, $languageCodename: String!) {
+      landingPage(
+        codename: $codename
+        languageFilter: { languageCodename: $languageCodename }
+      ) {
         ...LandingPageFields
       }
     }
@@ -138,8 +50,11 @@ function LandingPage(props) {
   `;
 
   const navigationAndLandingPageQuery = gql`
-    query NavigationAndLandingPageQuery($codename: String!) {
-      navigationItem(codename: $codename) {
+    query NavigationAndLandingPageQuery($codename: String!, $languageCodename: String!) {
+      navigationItem(
+        codename: $codename
+        languageFilter: { languageCodename: $languageCodename }
+      ) {
         _seo {
           ...SeoFields
         }
@@ -156,30 +71,36 @@ function LandingPage(props) {
 
   const classes = useStyles();
 
-  const [sectionItems, setSectionItems] = useState(null);
-  const [seo, setSeo] = useState({});
-
-  const { loading, error } = useQuery(
+  const { loading, error, data, refetch } = useQuery(
     props.seo ? landingPageQuery : navigationAndLandingPageQuery,
     {
-      variables: { codename: props.codename },
-      onCompleted: (data) => {
-        if (props.seo) {
-          setSectionItems(data.landingPage.sections.items);
-          setSeo(props.seo);
-        } else {
-          setSectionItems(data.navigationItem.content.sections.items);
-          setSeo(getSeo(data.navigationItem._seo));
-        }
-      },
+      variables: { codename: props.codename, languageCodename: props.language },
     },
-    [props.codename, props.seo]
+    [props.codename, props.language, props.seo]
   );
 
-  if (error || loading || !sectionItems) {
-    return <GraphQLLoader error={error} loading={loading} />;
+  const sectionItems = props.seo
+    ? get(data, "landingPage.sections.items", null)
+    : get(data, "navigationItem.content.sections.items", null);
+
+  if (!sectionItems) {
+    return (
+      <GraphQLLoader
+        error={error}
+        loading={loading}
+        onRetry={refetch}
+        skeleton={
+          <Box className={classes.sections}>
+            <HeroSkeleton />
+            <FeatureRowsSkeleton />
+          </Box>
+        }
+      />
+    );
   }
 
+  const seo = props.seo || getSeo(data.navigationItem._seo);
+
   return (
     <Layout {...props} seo={seo}>
       <Box className={classes.sections}>
@@ -200,10 +121,12 @@ function LandingPage(props) {
             );
           }
 
+          // one failing section doesn't break the whole page
           return (
-            <Component
+            <LandingPageSection
               key={index}
               {...props}
+              component={Component}
               section={section}
               site={props}
             />
@@ -4,17 +4,24 @@ import camelCase from "lodash.camelcase";
 import {
   Layout,
   UnknownComponent,
-  Link,
   Filter,
+  DateRangeFilter,
   GraphQLLoader,
+  Pagination,
 } from "./components";
 import { Container, Grid, makeStyles, Paper } from "@material-ui/core";
 import * as thumbnailLayouts from "./components/thumbnails";
-import React, { useState } from "react";
+import { getThumbnailQueryFields } from "./components/thumbnails";
+import { ThumbnailsSkeleton } from "./components/skeletons";
+import React from "react";
 import { gql, useQuery } from "@apollo/client";
-import { assetFields, seoFields } from "./graphQLFragments";
+import { Redirect, useLocation } from "react-router-dom";
+import { seoFields } from "./graphQLFragments";
 import getSeo from "./utils/getSeo";
-import { getAuthor, setAuthor, getPersona, setPersona } from "./utils/queryString";
+import { getCollectionName } from "./utils/contentTypes";
+import { getFilterValue, setFilterValue, getSort, setSort, defaultPageSize } from "./utils/queryString";
+import { getOrderArgument, getSortOptions } from "./utils/listingSort";
+import { getFilterOptions, getFilterOptionsQuery, getFilterQuery, getFilters } from "./utils/listingFilters";
 
 const useStyles = makeStyles((theme) => ({
   root: {
@@ -25,133 +32,149 @@ const useStyles = makeStyles((theme) => ({
     height: "100%",
     padding: theme.spacing(2),
   },
-  pagination: {
-    marginTop: theme.spacing(2),
-    display: "flex",
-    justifyContent: "space-between",
-  },
 }));
 
-function getListingPageQuerySignatureSuffix(author, persona) {
-  let result = author ? ", $author: String!" : "";
-  result += persona ? ", $persona: String!" : "";
-  return result;
-}
-
-function getListingPageQueryCondition(author, persona) {
-
-  const personaQuery = "persona: {containsAny: [$persona]}";
-  const authorQuery = "author: {containsAny: [$author]}";
-
-  let result = author && persona ? `, where: { AND: [{${authorQuery}}, {${personaQuery}} ] }` : "";
-  result += !author && persona ? `, where: {${personaQuery}}` : "";
-  result += author && !persona ? `, where: {${authorQuery}}` : "";
-  return result;
-}
-
 function ListingPage(props) {
   const listingPageQuery = gql`
-        query ListingPageQuery($limit: Int, $offset: Int, $codename: String! ${getListingPageQuerySignatureSuffix(props.author, props.persona)}){
-            author_All {
-                items {
-                    firstName
-                    lastName
-                    _system_ {
-                        codename
-                    }
-                }
-            }
-            post_All(limit: $limit, offset: $offset ${getListingPageQueryCondition(props.author, props.persona)}) {
-                items {
-                    _system_ {
-                        type {
-                            _system_ {
-                                codename
-                            }
-                        }
-                        codename
-                    }
-                    image {
-                        ...AssetFields
-                    }
-                    title
-                    slug
-                    excerpt
-                    publishingDate
-                    author {
-                        ... on Author {
-                            firstName
-                            lastName
-                        }
-                    }
-                }
-            }
-            navigationItem(codename: $codename) {
+        query ListingPageQuery($codename: String!, $languageCodename: String!){
+            navigationItem(codename: $codename, languageFilter: { languageCodename: $languageCodename }) {
                 _seo {
                   ...SeoFields
                 }
                 content {
                   ... on ListingPage {
                       contentType
+                      pageSize
+                      filters {
+                          items {
+                              ... on ListingFilter {
+                                  label
+                                  element
+                                  type {
+                                      items {
+                                          _system_ {
+                                              codename
+                                          }
+                                      }
+                                  }
+                                  match {
+                                      items {
+                                          _system_ {
+                                              codename
+                                          }
+                                      }
+                                  }
+                                  taxonomyGroup
+                                  optionsType
+                              }
+                          }
+                      }
                   }
                 }
             }
         }
 
-        ${assetFields}
         ${seoFields}
     `;
 
   const classes = useStyles();
+  const location = useLocation();
 
-  const [relatedItems, setRelatedItems] = useState([]);
-  const [authors, setAuthors] = useState([]);
-  const [personas, setPersonas] = useState([]);
-  const [seo, setSeo] = useState(null);
-
-  const { loading, error, data } = useQuery(
+  const { loading, error, data, refetch } = useQuery(
     listingPageQuery,
     {
       variables: {
         codename: props.codename,
-        author: props.author,
-        persona: props.persona,
-        limit: props.limit,
-        offset: props.offset,
+        languageCodename: props.language,
       },
-      onCompleted: (data) => {
-        const collection =
-          data[`${data.navigationItem.content.contentType}_All`];
-        if (collection) {
-          setRelatedItems(collection.items);
-        } else {
-          setRelatedItems(null);
+    },
+    [props.codename, props.language]
+  );
+
+  // the listing query is built once the listed content type and its filters are known
+  const contentType = get(data, "navigationItem.content.contentType", null);
+  const filters = getFilters(get(data, "navigationItem.content", null));
+  const filterValues = filters.reduce((result, filter) => {
+    result[filter.parameterName] = getFilterValue(location, filter);
+    return result;
+  }, {});
+  const filterQuery = getFilterQuery(filters, filterValues);
+  const sortOptions = getSortOptions(contentType);
+  const sort = sortOptions.some(option => option.codename === getSort(location)) ? getSort(location) : "";
+  const thumbnailQueryFields = getThumbnailQueryFields(contentType);
+  const listingItemsQuery = gql`
+        query ListingItemsQuery($limit: Int, $offset: Int, $languageCodename: String! ${filterQuery.signature}){
+            ${getCollectionName(contentType)}(limit: $limit, offset: $offset, languageFilter: { languageCodename: $languageCodename } ${filterQuery.condition} ${getOrderArgument(sort, contentType)}) {
+                totalCount
+                items {
+                    ${thumbnailQueryFields.fields}
+                }
+            }
         }
 
-        setAuthors(
-          data.author_All.items.map((author) => {
-            return {
-              name: `${author.firstName} ${author.lastName}`,
-              codename: author._system_.codename,
-            };
-          })
-        );
-
-        setPersonas([{
-            name: "Developer",
-            codename: "developer"
-        }]);
-
-        setSeo(getSeo(data.navigationItem._seo));
+        ${thumbnailQueryFields.fragment}
+    `;
+
+  // items are loaded once the page size of the listing page is known
+  const pageSize = get(data, "navigationItem.content.pageSize", null) || defaultPageSize;
+  const pageNumber = Math.max(props.pageNumber, 1);
+
+  const { loading: itemsLoading, error: itemsError, data: itemsData, refetch: refetchItems } = useQuery(
+    listingItemsQuery,
+    {
+      variables: {
+        languageCodename: props.language,
+        limit: pageSize,
+        offset: (pageNumber - 1) * pageSize,
+        ...filterQuery.variables,
       },
+      skip: !contentType,
     },
-    [props.codename, props.author, props.persona, props.limit, props.offset]
+    [contentType, props.language, filterQuery, sort, pageSize, pageNumber]
   );
 
-  if (error || loading || !seo) {
-    return <GraphQLLoader error={error} loading={loading} />;
+  // options are not needed for the items so they are loaded side by side
+  const { data: filterOptionsData } = useQuery(
+    gql(getFilterOptionsQuery(filters)),
+    {
+      variables: {
+        languageCodename: props.language,
+      },
+      skip: filters.length === 0,
+    },
+    [filters, props.language]
+  );
+
+  if (!contentType || !itemsData) {
+    return (
+      <GraphQLLoader
+        error={error || itemsError}
+        loading={loading || itemsLoading}
+        onRetry={error ? refetch : refetchItems}
+        skeleton={
+          <Container className={classes.root}>
+            <ThumbnailsSkeleton count={pageSize} spacing={4} />
+          </Container>
+        }
+      />
+    );
   }
 
+  const collection = itemsData[getCollectionName(contentType)];
+  const relatedItems = collection ? collection.items : null;
+  const totalCount = collection ? collection.totalCount : 0;
+  const pageCount = Math.ceil(totalCount / pageSize);
+
+  // out of range pages are replaced by the closest valid one
+  const lastPageNumber = Math.max(pageCount, 1);
+  if (props.pageNumber < 1 || props.pageNumber > lastPageNumber) {
+    return <Redirect to={props.getPageUrl(Math.min(Math.max(props.pageNumber, 1), lastPageNumber))} />;
+  }
+
+  const filterOptions = getFilterOptions(filters, filterOptionsData);
+
+  const seo = getSeo(data.navigationItem._seo);
+
   if (relatedItems == null) {
     if (process.env.NODE_ENV === "development") {
       console.error(
@@ -168,22 +191,44 @@ function ListingPage(props) {
   return (
     <Layout {...props} seo={seo}>
       <Container className={classes.root}>
-        <Filter
-          label="Author"
-          parameterName="author"
-          options={authors}
-          updateLocation={setAuthor}
-          getValueFromLocation={getAuthor}
-        />
-        <Filter label="Persona" parameterName="persona" options={personas} updateLocation={setPersona} getValueFromLocation={getPersona} />
-        {relatedItems.length > 0 && (
+        {filters.map(filter => filter.isRange ? (
+          <DateRangeFilter
+            key={filter.parameterName}
+            label={filter.label}
+            updateLocation={(location, value) => setFilterValue(location, filter, value)}
+            getValueFromLocation={location => getFilterValue(location, filter)}
+          />
+        ) : (
+          <Filter
+            key={filter.parameterName}
+            label={filter.label}
+            multiple
+            options={filterOptions[filter.parameterName]}
+            updateLocation={(location, value) => setFilterValue(location, filter, value)}
+            getValueFromLocation={location => getFilterValue(location, filter)}
+          />
+        ))}
+        {sortOptions.length > 0 && (
+          <Filter
+            label="Sort by"
+            emptyLabel="Default order"
+            options={sortOptions}
+            updateLocation={setSort}
+            getValueFromLocation={() => sort}
+          />
+        )}
+        {relatedItems && relatedItems.length > 0 && (
           <Grid container spacing={4} alignItems="stretch">
             {relatedItems.map((item, item_idx) => {
               const contentType = upperFirst(
                 camelCase(get(item, "_system_.type._system_.codename", null))
               );
               const ThumbnailLayout = thumbnailLayouts[contentType];
-              if (process.env.NODE_ENV === "development" && !ThumbnailLayout) {
+              if (!ThumbnailLayout) {
+                if (process.env.NODE_ENV !== "development") {
+                  return null;
+                }
+
                 console.error(
                   `Unknown section component for section content type: ${contentType}`
                 );
@@ -213,10 +258,11 @@ function ListingPage(props) {
             })}
           </Grid>
         )}
-        <div className={classes.pagination}>
-          <Link href={props.prevPage}>Previous page</Link>
-          <Link href={props.nextPage}>Next page</Link>
-        </div>
+        <Pagination
+          pageNumber={pageNumber}
+          pageCount={pageCount}
+          getPageUrl={props.getPageUrl}
+        />
       </Container>
     </Layout>
   );
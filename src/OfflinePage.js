@@ -0,0 +1,46 @@
+import React from "react";
+import { Button, Container, makeStyles, Typography } from "@material-ui/core";
+import { Layout } from "./components";
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    paddingTop: theme.spacing(4),
+    paddingBottom: theme.spacing(4),
+  },
+  retry: {
+    marginTop: theme.spacing(2),
+  },
+}));
+
+const seo = {
+  title: "Offline",
+  description: null,
+  keyWords: null,
+  canonicalUrl: null,
+  noIndex: true,
+};
+
+// served by the service worker for the pages which were not visited before when there is no connection
+function OfflinePage(props) {
+  const classes = useStyles();
+
+  return (
+    <Layout {...props} seo={seo}>
+      <Container className={classes.root} maxWidth="md">
+        <Typography variant="h2" component="h1">You are offline</Typography>
+        <Typography>
+          This page is not available without the internet connection. Pages you visited before are still available.
+        </Typography>
+        <Button
+          className={classes.retry}
+          variant="contained"
+          color="primary"
+          onClick={() => window.location.reload()}>
+          Try again
+        </Button>
+      </Container>
+    </Layout>
+  );
+}
+
+export default OfflinePage;
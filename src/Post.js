@@ -1,7 +1,8 @@
 import get from "lodash.get";
 import { Image, Layout, RichText, GraphQLLoader } from "./components";
+import { PostHeaderSkeleton, RichTextSkeleton } from "./components/skeletons";
 import { Container, makeStyles, Typography, useTheme } from "@material-ui/core";
-import React, { useState } from "react";
+import React from "react";
 import { gql, useQuery } from "@apollo/client";
 import { assetFields, seoFields, richTextFields } from "./graphQLFragments";
 import getSeo from "./utils/getSeo";
@@ -14,8 +15,11 @@ const useStyles = makeStyles((theme) => ({
 
 function Post(props) {
   const postPageQuery = gql`
-    query PostPageQuery($codename: String!) {
-      post(codename: $codename) {
+    query PostPageQuery($codename: String!, $languageCodename: String!) {
+      post(
+        codename: $codename
+        languageFilter: { languageCodename: $languageCodename }
+      ) {
         _seo {
           ...SeoFields
         }
@@ -47,28 +51,37 @@ function Post(props) {
     ${richTextFields}
   `;
 
-  const [post, setPost] = useState(null);
-  const [seo, setSeo] = useState(null);
   const classes = useStyles();
   const theme = useTheme();
   const imageSizes = `${theme.breakpoints.values.md}px`;
 
-  const { loading, error } = useQuery(
+  const { loading, error, data, refetch } = useQuery(
     postPageQuery,
     {
-      variables: { codename: props.codename },
-      onCompleted: (data) => {
-        setPost(data.post);
-        setSeo(getSeo(data.post._seo));
-      },
+      variables: { codename: props.codename, languageCodename: props.language },
     },
-    [props.codename]
+    [props.codename, props.language]
   );
 
-  if (error || loading || !post) {
-    return <GraphQLLoader error={error} loading={loading} />;
+  if (!data?.post) {
+    return (
+      <GraphQLLoader
+        error={error}
+        loading={loading}
+        onRetry={refetch}
+        skeleton={
+          <Container className={classes.root} maxWidth="md">
+            <PostHeaderSkeleton />
+            <RichTextSkeleton />
+          </Container>
+        }
+      />
+    );
   }
 
+  const post = data.post;
+  const seo = getSeo(post._seo);
+
   return (
     <Layout {...props} seo={seo}>
       <Container className={classes.root} maxWidth="md">
@@ -0,0 +1,188 @@
+import React, { useContext, useEffect, useMemo, useState } from "react";
+import { Chip, Container, makeStyles, Typography } from "@material-ui/core";
+import { useQuery } from "@apollo/client";
+import { useHistory, useLocation } from "react-router-dom";
+import { GraphQLLoader, LanguageContext, Layout, Link } from "./components";
+import { RichTextSkeleton } from "./components/skeletons";
+import { searchIndexQuery } from "./graphQLQueries";
+import { getUrlFromMappingByCodename } from "./utils";
+import { getSearchQuery, getSearchType, setSearchType } from "./utils/queryString";
+import {
+  createSearchIndex,
+  getHighlightedParts,
+  getSearchDocuments,
+  getSnippet,
+  search,
+  searchableTypes,
+} from "./utils/search";
+
+// index generated at build time by `npm run search-index`, the index is built from the GraphQL data otherwise
+const SEARCH_INDEX_URL = process.env.REACT_APP_SEARCH_INDEX_URL;
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    paddingTop: theme.spacing(4),
+    paddingBottom: theme.spacing(4),
+  },
+  facets: {
+    marginTop: theme.spacing(2),
+    marginBottom: theme.spacing(2),
+    "& > *": {
+      marginRight: theme.spacing(1),
+    },
+  },
+  result: {
+    marginBottom: theme.spacing(3),
+  },
+}));
+
+const seo = {
+  title: "Search",
+  description: null,
+  keyWords: null,
+  canonicalUrl: null,
+  noIndex: true,
+};
+
+function Highlighted({ text, query }) {
+  return getHighlightedParts(text, query).map((part, index) =>
+    part.highlighted ? <mark key={index}>{part.text}</mark> : part.text
+  );
+}
+
+function SearchPage(props) {
+  const classes = useStyles();
+  const location = useLocation();
+  const history = useHistory();
+  const language = useContext(LanguageContext);
+  const query = getSearchQuery(location);
+  const type = getSearchType(location);
+
+  const [prebuiltIndex, setPrebuiltIndex] = useState(null);
+  const [prebuiltIndexFailed, setPrebuiltIndexFailed] = useState(!SEARCH_INDEX_URL);
+
+  useEffect(() => {
+    if (!SEARCH_INDEX_URL) {
+      return;
+    }
+
+    let cancelled = false;
+
+    fetch(SEARCH_INDEX_URL)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Search index request failed with status ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(indexes => {
+        if (cancelled) {
+          return;
+        }
+        if (!indexes[language]) {
+          throw new Error(`Search index does not contain language: ${language}`);
+        }
+        setPrebuiltIndex(indexes[language]);
+      })
+      .catch(error => {
+        console.error(error);
+        if (!cancelled) {
+          setPrebuiltIndexFailed(true);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [language]);
+
+  const { loading, error, data, refetch } = useQuery(
+    searchIndexQuery,
+    {
+      variables: { languageCodename: props.language },
+      skip: !prebuiltIndexFailed,
+    },
+    [props.language, prebuiltIndexFailed]
+  );
+
+  const index = useMemo(() => {
+    if (prebuiltIndex) {
+      return prebuiltIndex;
+    }
+
+    return data ? createSearchIndex(getSearchDocuments(data, props.mappings, language)) : null;
+  }, [prebuiltIndex, data, props.mappings, language]);
+
+  const { results, facets } = useMemo(
+    () => (index ? search(index, query, type) : { results: [], facets: {} }),
+    [index, query, type]
+  );
+
+  const totalCount = Object.keys(facets).reduce((sum, facet) => sum + facets[facet], 0);
+
+  return (
+    <Layout {...props} seo={seo}>
+      <Container className={classes.root}>
+        <Typography variant="h2" component="h1">
+          {query ? `Results for "${query}"` : "Search"}
+        </Typography>
+
+        {!index ? (
+          <GraphQLLoader
+            error={error}
+            loading={loading || !prebuiltIndexFailed}
+            onRetry={refetch}
+            skeleton={<RichTextSkeleton lines={8} />}
+            inline
+          />
+        ) : (
+          <>
+            {totalCount > 0 && (
+              <div className={classes.facets} aria-label="Content types">
+                <Chip
+                  label={`All (${totalCount})`}
+                  color={!type ? "primary" : "default"}
+                  onClick={() => history.push(setSearchType(location, ""))}
+                />
+                {Object.keys(facets).map(facet => (
+                  <Chip
+                    key={facet}
+                    label={`${searchableTypes[facet]} (${facets[facet]})`}
+                    color={type === facet ? "primary" : "default"}
+                    onClick={() => history.push(setSearchType(location, facet))}
+                  />
+                ))}
+              </div>
+            )}
+
+            {query && results.length === 0 && (
+              <Typography>No results found.</Typography>
+            )}
+
+            {results.map(result => {
+              const url = getUrlFromMappingByCodename(props.mappings, result.codename, language);
+
+              return typeof url !== "undefined" && (
+                <article key={result.codename} className={classes.result}>
+                  <Typography variant="h5" component="h2">
+                    <Link href={url}>
+                      <Highlighted text={result.title} query={query} />
+                    </Link>
+                  </Typography>
+                  <Typography variant="caption" color="textSecondary">
+                    {searchableTypes[result.type]}
+                  </Typography>
+                  <Typography>
+                    <Highlighted text={getSnippet(result.text, query)} query={query} />
+                  </Typography>
+                </article>
+              );
+            })}
+          </>
+        )}
+      </Container>
+    </Layout>
+  );
+}
+
+export default SearchPage;
@@ -1,7 +1,8 @@
 import get from "lodash.get";
 import { Image, Layout, RichText, GraphQLLoader } from "./components";
+import { PostHeaderSkeleton, RichTextSkeleton } from "./components/skeletons";
 import { Container, makeStyles, Typography, useTheme } from "@material-ui/core";
-import React, { useState } from "react";
+import React from "react";
 import { gql, useQuery } from "@apollo/client";
 import {
   assetFields,
@@ -31,8 +32,11 @@ function SimplePage(props) {
   `;
 
   const simplePageQuery = gql`
-    query SimplePageQuery($codename: String!) {
-      simplePage(codename: $codename) {
+    query SimplePageQuery($codename: String!, $languageCodename: String!) {
+      simplePage(
+        codename: $codename
+        languageFilter: { languageCodename: $languageCodename }
+      ) {
         ...SimplePageFields
       }
     }
@@ -43,8 +47,11 @@ function SimplePage(props) {
   `;
 
   const navigationAndSimplePageQuery = gql`
-    query NavigationAndSimplePageQuery($codename: String!) {
-      navigationItem(codename: $codename) {
+    query NavigationAndSimplePageQuery($codename: String!, $languageCodename: String!) {
+      navigationItem(
+        codename: $codename
+        languageFilter: { languageCodename: $languageCodename }
+      ) {
         _seo {
           ...SeoFields
         }
@@ -66,30 +73,34 @@ function SimplePage(props) {
   const theme = useTheme();
   const imageSizes = `${theme.breakpoints.values.md}px`;
 
-  const [page, setPage] = useState(null);
-  const [seo, setSeo] = useState({});
-
-  const { loading, error } = useQuery(
+  const { loading, error, data, refetch } = useQuery(
     props.seo ? simplePageQuery : navigationAndSimplePageQuery,
     {
-      variables: { codename: props.codename },
-      onCompleted: (data) => {
-        if (props._seo) {
-          setPage(data.simplePage);
-          setSeo(props.seo);
-        } else {
-          setPage(data.navigationItem.content);
-          setSeo(getSeo(data.navigationItem.seo));
-        }
-      },
+      variables: { codename: props.codename, languageCodename: props.language },
     },
-    [props.codename, props.seo]
+    [props.codename, props.language, props.seo]
   );
 
-  if (error || loading || !page) {
-    return <GraphQLLoader error={error} loading={loading} />;
+  const page = props.seo ? data?.simplePage : data?.navigationItem?.content;
+
+  if (!page) {
+    return (
+      <GraphQLLoader
+        error={error}
+        loading={loading}
+        onRetry={refetch}
+        skeleton={
+          <Container className={classes.root} maxWidth="md">
+            <PostHeaderSkeleton />
+            <RichTextSkeleton />
+          </Container>
+        }
+      />
+    );
   }
 
+  const seo = props.seo || getSeo(data.navigationItem._seo);
+
   return (
     <Layout {...props} seo={seo}>
       <Container className={classes.root} maxWidth="md">
@@ -1,12 +1,14 @@
 import get from "lodash.get";
+import { useContext } from "react";
 import { Button } from "@material-ui/core";
-import { Link, Icon } from ".";
+import { Link, Icon, LanguageContext, useUrlResolver } from ".";
+import { getActionLinkOptions, getActionUrl } from "../utils/menu";
 
 function Action(props) {
   const { action } = props;
-  const navigationItem = get(action, "navigationItem", null);
-  const href = navigationItem._system_.type.codename === "external_url" ?
-               get(navigationItem, "url") : get(navigationItem, "slug");
+  const language = useContext(LanguageContext);
+  const urlResolver = useUrlResolver();
+  const href = getActionUrl(action, language, urlResolver);
   const action_options = get(action, "options.items", []);
 
 
@@ -21,16 +23,11 @@ function Action(props) {
     config.variant = "outlined";
   }
 
-  const new_window = action_options.some(item => item._system_.codename === "new_window");
-  const no_follow = action_options.some(item => item._system_.codename === "no_follow");
-  const icon = get(action, "icon.items[0]", null);
-  const iconPosition = get(icon, "iconPosition[0]._system_.codename", null);
-  const options = {
-    target: new_window ? "_blank" : undefined,
-    rel: new_window || no_follow
-      ? `${new_window ? "noopener" : ""} ${no_follow ? "nofollow" : ""}`
-      : undefined,
-  };
+  const icon = get(action, "icon", null);
+  const iconPosition = get(icon, "iconPosition.items[0]._system_.codename", null);
+  const options = getActionLinkOptions(action);
+  // contained and outlined buttons keep their colors on the active route
+  const activeClassName = config.variant ? undefined : props.activeClassName;
 
   return (
     <Button
@@ -40,6 +37,8 @@ function Action(props) {
       underline="none"
       size={props.size}
       href={href}
+      className={props.className}
+      activeClassName={activeClassName}
       {...config}
       {...options}>
       {action.label}
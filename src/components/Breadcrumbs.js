@@ -0,0 +1,76 @@
+import React from "react";
+import { Breadcrumbs as MuiBreadcrumbs, Container, Typography, makeStyles } from "@material-ui/core";
+import { Helmet } from "react-helmet-async";
+import { useLocation } from "react-router-dom";
+import { Link } from ".";
+import { getAbsoluteUrl } from "../utils";
+import { getSlugFromPathName } from "../utils/getUrlFromMapping";
+import { getLanguagePrefix } from "../utils/languages";
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    paddingTop: theme.spacing(2),
+  },
+}));
+
+/**
+ * Pages on the way from the homepage to the page of the slug, every mapped prefix of the slug is one level.
+ * Returns an empty array for the homepage and unknown slugs.
+ */
+export function getBreadcrumbs(mappings, slug) {
+  const mapping = mappings[slug];
+  if (!mapping || mapping.navigationType === "homepage") {
+    return [];
+  }
+
+  const parts = slug.split("/");
+  const prefixLength = getLanguagePrefix(mapping.routeLanguage).length;
+
+  // the homepage (language prefix only) up to the slug itself
+  return Array.from({ length: parts.length - prefixLength + 1 }, (_value, index) => parts.slice(0, prefixLength + index).join("/"))
+    .filter(crumbSlug => mappings[crumbSlug])
+    .map(crumbSlug => ({
+      slug: crumbSlug,
+      title: mappings[crumbSlug].seo?.title || mappings[crumbSlug].title,
+    }));
+}
+
+function Breadcrumbs(props) {
+  const classes = useStyles();
+  const location = useLocation();
+  const breadcrumbs = getBreadcrumbs(props.mappings || {}, getSlugFromPathName(location.pathname));
+
+  if (breadcrumbs.length < 2) {
+    return null;
+  }
+
+  const current = breadcrumbs[breadcrumbs.length - 1];
+  const structuredData = {
+    "@context": "https://schema.org",
+    "@type": "BreadcrumbList",
+    itemListElement: breadcrumbs.map((breadcrumb, index) => ({
+      "@type": "ListItem",
+      position: index + 1,
+      name: breadcrumb.title,
+      item: getAbsoluteUrl(breadcrumb.slug),
+    })),
+  };
+
+  return (
+    <Container className={classes.root}>
+      <Helmet>
+        <script type="application/ld+json">{JSON.stringify(structuredData)}</script>
+      </Helmet>
+      <MuiBreadcrumbs aria-label="Breadcrumbs">
+        {breadcrumbs.slice(0, -1).map(breadcrumb => (
+          <Link key={breadcrumb.slug} href={breadcrumb.slug} color="inherit" activeClassName="">
+            {breadcrumb.title}
+          </Link>
+        ))}
+        <Typography color="textPrimary" aria-current="page">{current.title}</Typography>
+      </MuiBreadcrumbs>
+    </Container>
+  );
+}
+
+export default Breadcrumbs;
@@ -0,0 +1,51 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { useHistory } from 'react-router-dom';
+import { makeStyles, TextField } from '@material-ui/core';
+
+const useStyles = makeStyles((theme) => ({
+  date: {
+    marginRight: theme.spacing(2),
+  },
+}));
+
+function DateRangeFilter(props) {
+  const history = useHistory();
+  const classes = useStyles();
+  const value = props.getValueFromLocation(history.location);
+
+  const handleChange = (bound) => ({target}) => {
+    history.push(props.updateLocation(history.location, { ...value, [bound]: target.value }));
+  }
+
+  return (
+      <>
+        <TextField
+            type="date"
+            label={`${props.label} from`}
+            value={value.from}
+            onChange={handleChange("from")}
+            className={classes.date}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ max: value.to || undefined }}
+        />
+        <TextField
+            type="date"
+            label={`${props.label} to`}
+            value={value.to}
+            onChange={handleChange("to")}
+            className={classes.date}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ min: value.from || undefined }}
+        />
+      </>
+  );
+}
+
+DateRangeFilter.propTypes = {
+  label: PropTypes.string,
+  updateLocation: PropTypes.func.isRequired,
+  getValueFromLocation: PropTypes.func.isRequired,
+};
+
+export default DateRangeFilter;
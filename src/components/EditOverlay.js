@@ -0,0 +1,93 @@
+import React, { useContext, useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { Button, makeStyles } from "@material-ui/core";
+import { PreviewContext } from ".";
+import {
+  annotatedElementSelector,
+  getEditItemUrl,
+  getElementAnnotations,
+} from "../utils/annotations";
+
+const useStyles = makeStyles((theme) => ({
+  outline: {
+    position: "absolute",
+    zIndex: theme.zIndex.tooltip,
+    outline: `2px dashed ${theme.palette.warning.main}`,
+    pointerEvents: "none",
+  },
+  edit: {
+    position: "absolute",
+    top: 0,
+    right: 0,
+    pointerEvents: "auto",
+    backgroundColor: theme.palette.warning.main,
+    color: theme.palette.warning.contrastText,
+    "&:hover": {
+      backgroundColor: theme.palette.warning.dark,
+    },
+  },
+}));
+
+// highlights the hovered annotated element and links it to the Kontent editor
+function EditOverlay() {
+  const classes = useStyles();
+  const preview = useContext(PreviewContext);
+  const overlayRef = useRef(null);
+  const [target, setTarget] = useState(null);
+
+  useEffect(() => {
+    if (!preview) {
+      return;
+    }
+
+    const handleMouseOver = (event) => {
+      // keep the overlay while moving to its edit button
+      if (overlayRef.current && overlayRef.current.contains(event.target)) {
+        return;
+      }
+
+      const element = event.target.closest(annotatedElementSelector);
+
+      if (!element) {
+        setTarget(null);
+        return;
+      }
+
+      const rect = element.getBoundingClientRect();
+      setTarget({
+        top: rect.top + window.scrollY,
+        left: rect.left + window.scrollX,
+        width: rect.width,
+        height: rect.height,
+        annotations: getElementAnnotations(element),
+      });
+    };
+
+    document.addEventListener("mouseover", handleMouseOver);
+    return () => document.removeEventListener("mouseover", handleMouseOver);
+  }, [preview]);
+
+  if (!preview || !target) {
+    return null;
+  }
+
+  const { annotations, ...position } = target;
+
+  return createPortal(
+    <div ref={overlayRef} className={classes.outline} style={position}>
+      <Button
+        size="small"
+        variant="contained"
+        className={classes.edit}
+        href={getEditItemUrl(annotations)}
+        target="_blank"
+        rel="noopener noreferrer"
+      >
+        {annotations.elementCodename ? `Edit ${annotations.elementCodename}` : "Edit"}
+      </Button>
+    </div>,
+    document.body
+  );
+}
+
+export default EditOverlay;
@@ -0,0 +1,127 @@
+import React, { useContext } from "react";
+import get from "lodash.get";
+import { Route } from "react-router-dom";
+import { Button, Container, makeStyles, Typography } from "@material-ui/core";
+import { gql, useQuery } from "@apollo/client";
+import { LanguageContext, Layout, Link, RichText, SiteContext } from ".";
+import { richTextFields } from "../graphQLFragments";
+import { getLanguagePrefix } from "../utils/languages";
+import { isOffline } from "../utils/offline";
+
+// texts of the error pages are editable as simple pages with these codenames, the defaults are used if they don't exist
+export const errorPageCodenames = {
+  404: "not_found_page",
+  500: "server_error_page",
+};
+
+const defaultTexts = {
+  404: {
+    title: "Page not found",
+    subtitle: "The page you are looking for does not exist or it was moved.",
+  },
+  500: {
+    title: "Something went wrong",
+    subtitle: "The content could not be loaded. Please try again later.",
+  },
+  offline: {
+    title: "You are offline",
+    subtitle: "This content is not available without the internet connection.",
+  },
+};
+
+const errorPageQuery = gql`
+  query ErrorPageQuery($codename: String!, $languageCodename: String!) {
+    simplePage(
+      codename: $codename
+      languageFilter: { languageCodename: $languageCodename }
+    ) {
+      title
+      subtitle
+      content {
+        ...RichTextFields
+      }
+    }
+  }
+
+  ${richTextFields}
+`;
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    paddingTop: theme.spacing(4),
+    paddingBottom: theme.spacing(4),
+  },
+  action: {
+    marginTop: theme.spacing(2),
+  },
+}));
+
+/**
+ * Error page rendered within the site layout with the HTTP status code of the server side rendered response.
+ * The site configuration and mappings are taken from the `SiteContext` if they are not passed.
+ * @param {Object} props
+ * @param {number} props.statusCode - 404 or 500
+ * @param {Function} [props.onRetry] - "Try again" action of the 500 page, the page is reloaded if not set
+ */
+function ErrorPage(props) {
+  const classes = useStyles();
+  const site = useContext(SiteContext);
+  const routeLanguage = useContext(LanguageContext);
+  const language = props.language || routeLanguage;
+  const siteConfiguration = props.siteConfiguration || site.siteConfiguration;
+  const mappings = props.mappings || site.mappings;
+  const offline = props.statusCode !== 404 && isOffline();
+
+  const { data } = useQuery(errorPageQuery, {
+    variables: { codename: errorPageCodenames[props.statusCode], languageCodename: language },
+    skip: offline,
+  });
+
+  const page = get(data, "simplePage", null);
+  const texts = defaultTexts[offline ? "offline" : props.statusCode];
+  const title = get(page, "title", null) || texts.title;
+
+  return (
+    <>
+      <Route render={({ staticContext }) => {
+        if (staticContext) {
+          // status code of the server side rendered response
+          staticContext.statusCode = props.statusCode;
+        }
+        return null;
+      }} />
+      <Layout
+        siteConfiguration={siteConfiguration}
+        mappings={mappings}
+        seo={{ title, description: null, keyWords: null, canonicalUrl: null, noIndex: true }}
+      >
+        <Container className={classes.root} maxWidth="md">
+          <Typography variant="h1">{title}</Typography>
+          <Typography variant="subtitle1">{get(page, "subtitle", null) || texts.subtitle}</Typography>
+          {get(page, "content", null) && (
+            <Typography component="div">
+              <RichText richTextElement={page.content} mappings={mappings} />
+            </Typography>
+          )}
+          {props.children}
+          <div className={classes.action}>
+            {props.statusCode === 404 ? (
+              <Button component={Link} naked href={getLanguagePrefix(routeLanguage)} variant="contained" color="primary">
+                Go to homepage
+              </Button>
+            ) : (
+              <Button
+                variant="contained"
+                color="primary"
+                onClick={props.onRetry || (() => window.location.reload())}>
+                Try again
+              </Button>
+            )}
+          </div>
+        </Container>
+      </Layout>
+    </>
+  );
+}
+
+export default ErrorPage;
@@ -0,0 +1,30 @@
+import React from "react";
+import { Checkbox, FormControlLabel } from "@material-ui/core";
+
+const fakeToken = "fake-challenge-token";
+
+// Stand-in for a real challenge (i.e. reCAPTCHA) to test the protected forms locally
+function FakeChallenge(props) {
+  return (
+    <FormControlLabel
+      control={
+        <Checkbox
+          id={`${props.formId}-challenge`}
+          onChange={event => props.onToken(event.target.checked ? fakeToken : null)}
+        />
+      }
+      label="I am not a robot"
+    />
+  );
+}
+
+/**
+ * Challenge providers render the `Component` (with `formId` and `onToken` props) into the protected forms
+ * and the token it reports is submitted in the `tokenFieldName` field to be verified by the form endpoint.
+ */
+export const fakeChallengeProvider = {
+  tokenFieldName: "challenge_token",
+  Component: FakeChallenge,
+};
+
+export default FakeChallenge;
@@ -18,19 +18,33 @@ function Filter(props) {
     history.push(props.updateLocation(history.location, target.value));
   }
 
+  const getOptionName = codename => {
+    const option = props.options.find(option => option.codename === codename);
+    return option ? option.name : codename;
+  };
+
+  const emptyLabel = props.emptyLabel || `All ${props.label}s`;
+
+  // multiple selection is cleared by deselecting all the options
+  const renderValue = value => {
+    const values = [].concat(value).filter(codename => codename);
+    return values.length === 0 ? <em>{emptyLabel}</em> : values.map(getOptionName).join(", ");
+  };
+
   return (
       <>
         <MuiInputLabel shrink>
           {props.label}
         </MuiInputLabel>
         <MuiSelect
+            multiple={props.multiple}
             value={props.getValueFromLocation(history.location)}
             onChange={handleClick}
             className={classes.selectEmpty}
             displayEmpty
-            renderValue={value => !value ? <em>{`All ${props.label}s`}</em> : props.options.find(option => option.codename === value).name}
+            renderValue={renderValue}
         >
-          <MenuItem key={`filter${props.label}ItemNone`} value=""><b>{`All ${props.label}s`}</b></MenuItem>
+          {!props.multiple && <MenuItem key={`filter${props.label}ItemNone`} value=""><b>{emptyLabel}</b></MenuItem>}
           {props.options.map((option, index) => <MenuItem key={`filter${props.label}Item${index}`} value={option.codename}>{option.name}</MenuItem>)}
         </MuiSelect>
       </>
@@ -39,6 +53,8 @@ function Filter(props) {
 
 Filter.propTypes = {
   options: PropTypes.arrayOf(object).isRequired,
+  multiple: PropTypes.bool,
+  emptyLabel: PropTypes.string,
 };
 
 export default Filter;
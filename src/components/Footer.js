@@ -0,0 +1,131 @@
+import React, { useContext } from "react";
+import get from "lodash.get";
+import { Box, Container, Grid, IconButton, Typography, makeStyles } from "@material-ui/core";
+import { Icon, LanguageContext, Link, useUrlResolver } from ".";
+import { getActionLinkOptions, getActionUrl, getMenuItems, isSubmenu } from "../utils/menu";
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    marginTop: theme.spacing(6),
+    paddingTop: theme.spacing(4),
+    paddingBottom: theme.spacing(4),
+    borderTop: `1px solid ${theme.palette.divider}`,
+  },
+  list: {
+    listStyle: "none",
+    margin: 0,
+    padding: 0,
+    "& ul": {
+      paddingLeft: theme.spacing(2),
+    },
+    "& li": {
+      marginTop: theme.spacing(1),
+    },
+  },
+  active: {
+    color: theme.palette.primary.main,
+  },
+  links: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    marginTop: theme.spacing(2),
+    "& > *": {
+      marginRight: theme.spacing(2),
+    },
+  },
+}));
+
+// actions with an icon are rendered as the social links
+const hasIcon = (item) => !isSubmenu(item) && !!get(item, "icon.icon.items[0]", null);
+
+function FooterLink({ action, classes }) {
+  const language = useContext(LanguageContext);
+  const urlResolver = useUrlResolver();
+
+  return (
+    <Link
+      href={getActionUrl(action, language, urlResolver)}
+      color="inherit"
+      activeClassName={classes.active}
+      {...getActionLinkOptions(action)}
+    >
+      {action.label}
+    </Link>
+  );
+}
+
+function FooterList({ items, classes }) {
+  return (
+    <ul className={classes.list}>
+      {items.map((item, index) => (
+        <li key={index}>
+          {isSubmenu(item)
+            ? <>
+              <Typography variant="body2" component="span">{item.label}</Typography>
+              <FooterList items={getMenuItems(item)} classes={classes} />
+            </>
+            : <FooterLink action={item} classes={classes} />}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function SocialLink({ action }) {
+  const language = useContext(LanguageContext);
+  const urlResolver = useUrlResolver();
+
+  return (
+    <IconButton
+      component={Link}
+      href={getActionUrl(action, language, urlResolver)}
+      aria-label={action.label}
+      title={action.label}
+      size="small"
+      {...getActionLinkOptions(action)}
+    >
+      <Icon icon={get(action, "icon", null)} />
+    </IconButton>
+  );
+}
+
+/**
+ * Footer of the `footer_menu` of the homepage - submenus as the columns of links, actions with an icon as the social links
+ * and the other actions as a row of links.
+ */
+function Footer({ footerMenuActions, title }) {
+  const classes = useStyles();
+  const items = footerMenuActions || [];
+  const groups = items.filter(item => isSubmenu(item));
+  const socialLinks = items.filter(item => hasIcon(item));
+  const links = items.filter(item => !isSubmenu(item) && !hasIcon(item));
+
+  return (
+    <Box component="footer" className={classes.root}>
+      <Container>
+        {groups.length > 0 && (
+          <Grid container spacing={4} component="nav" aria-label="Footer menu">
+            {groups.map((group, index) => (
+              <Grid item xs={12} sm={6} md={3} key={index}>
+                <Typography variant="subtitle1" component="h2">{group.label}</Typography>
+                <FooterList items={getMenuItems(group)} classes={classes} />
+              </Grid>
+            ))}
+          </Grid>
+        )}
+        <div className={classes.links}>
+          <Typography variant="body2">© {new Date().getFullYear()} {title}</Typography>
+          {links.map((action, index) => <FooterLink key={index} action={action} classes={classes} />)}
+          {socialLinks.length > 0 && (
+            <div>
+              {socialLinks.map((action, index) => <SocialLink key={index} action={action} />)}
+            </div>
+          )}
+        </div>
+      </Container>
+    </Box>
+  );
+}
+
+export default Footer;
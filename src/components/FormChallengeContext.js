@@ -0,0 +1,9 @@
+import React from "react";
+import { fakeChallengeProvider } from "./FakeChallenge";
+
+// Challenge provider of the forms with the `challenge` spam protection, see `FakeChallenge` for the interface
+const FormChallengeContext = React.createContext(
+  process.env.REACT_APP_FORM_CHALLENGE === "fake" ? fakeChallengeProvider : null
+);
+
+export default FormChallengeContext;
@@ -1,93 +1,55 @@
 import React from "react";
 import get from "lodash.get";
-import { Checkbox, FormControl, FormControlLabel, FormGroup, InputLabel, makeStyles, MenuItem, Select, TextField } from "@material-ui/core";
+import camelCase from "lodash.camelcase";
+import upperFirst from "lodash.upperfirst";
+import { makeStyles } from "@material-ui/core";
 import UnknownComponent from "./UnknownComponent";
+import * as formFields from "./formFields";
 
 const useStyles = makeStyles((theme) => ({
   formControl: {
     margin: theme.spacing(1),
     minWidth: 200,
   },
-  textArea: {
-    minWidth: 500
-  },
-  checkbox: {
-    paddingLeft: theme.spacing(1),
-  }
 }));
 
+/**
+ * Controlled form field, the value and the validation error are kept by the form.
+ * `onChange` is called with the new value, `onBlur` when the field loses focus.
+ * The component is resolved by the field content type from `./formFields`.
+ */
 function FormField(props) {
   const classes = useStyles();
-  const [selectBoxValue, setSelectBoxValue] = React.useState('');
 
   let field = get(props, "field", null);
-
-  let fieldComponent;
-
-  if (field._system_.type._system_.codename === "base_form_field") {
-
-    const isTextArea = get(field, "type.items[0]._system_.codename") === "textarea";
-    const isCheckbox = get(field, "type.items[0]._system_.codename") === "checkbox";
-    if (isCheckbox) {
-      fieldComponent = (
-        <FormGroup className={classes.checkbox}>
-          <FormControlLabel
-            control={<Checkbox name={get(field, "name", null)} />}
-            label={get(field, "label", null)}
-          />
-        </FormGroup>
-
-      );
-    }
-    else {
-      fieldComponent = (
-        <TextField
-          type={get(field, "type[0]._system_.codename")}
-          multiline={isTextArea ? true : false}
-          rows={isTextArea ? 4 : undefined}
-          label={get(field, "label", null)}
-          placeholder={get(field, "defaultValue", null)}
-          required={get(field, "configuration.items", []).some(config => config._system_.codename === "required")}
-          name={get(field, "name", null)}
-          className={`${classes.formControl} ${isTextArea ? classes.textArea : null}`}
-        />
-
-      );
-    }
-  }
-  else if (field._system_.type._system_.codename === "select_form_field") {
-    const handleChange = (event) => {
-      setSelectBoxValue(event.target.value);
-    };
-
-    fieldComponent = (
-      <FormControl
-        className={classes.formControl}>
-        <InputLabel id="demo-simple-select-label">{get(field, "label")}</InputLabel>
-        <Select
-          labelId="demo-simple-select-label"
-          id="demo-simple-select"
-          onChange={handleChange}
-          value={selectBoxValue}
-        >
-          {get(field, "options.items", []).map(option => (
-            <MenuItem key={get(option, "value")} value={get(option, "value")}>{get(option, "label")}</MenuItem>
-          ))}
-        </Select>
-      </FormControl>
-    );
-  }
-  else {
-    fieldComponent = (
-      <UnknownComponent>
-        Unknown form component
-      </UnknownComponent>
+  const required = get(field, "configuration.items", []).some(config => config._system_.codename === "required");
+  // unique within the page, labels are bound to the inputs by it
+  const id = `${props.formId || "form"}-${get(field, "name", null) || get(field, "_system_.codename", null)}`;
+
+  const FieldComponent = formFields[upperFirst(camelCase(field._system_.type._system_.codename))];
+
+  if (!FieldComponent) {
+    return (
+      <div>
+        <UnknownComponent>
+          Unknown form component
+        </UnknownComponent>
+      </div>
     );
   }
 
   return (
     <div>
-      {fieldComponent}
+      <FieldComponent
+        field={field}
+        id={id}
+        required={required}
+        value={props.value}
+        error={get(props, "error", null)}
+        onChange={props.onChange}
+        onBlur={props.onBlur}
+        className={classes.formControl}
+      />
     </div>
   );
 }
@@ -0,0 +1,7 @@
+import React from "react";
+import { submitForm } from "../utils/formSubmission";
+
+// Handler submitting the forms, could be replaced by the provider i.e. to test the forms without an endpoint
+const FormSubmissionContext = React.createContext(submitForm);
+
+export default FormSubmissionContext;
@@ -1,19 +1,72 @@
+import { useContext } from "react";
+import { Button, Container } from "@material-ui/core";
+import { ErrorPage, Layout, SiteContext } from ".";
+import { RichTextSkeleton } from "./skeletons";
+import { isOffline } from "../utils/offline";
+
+// errors are displayed by the query result, the rejected refetch promise is not needed
+const retry = (onRetry) => onRetry && (() => Promise.resolve(onRetry()).catch(() => undefined));
+
+const loadingSeo = {
+  title: null,
+  description: null,
+  keyWords: null,
+  canonicalUrl: null,
+  noIndex: false,
+};
+
+/**
+ * Loading and error state of the page queries.
+ * Skeleton of the loaded content is rendered within the site layout, so the header is displayed immediately.
+ * Errors are rendered as the 500 error page within the site layout, `inline` errors (i.e. of the sections) as a message.
+ * @param {Object} props
+ * @param {Object} [props.error]
+ * @param {boolean} [props.loading]
+ * @param {Function} [props.onRetry] - "Try again" action, i.e. the `refetch` of the query
+ * @param {boolean} [props.inline] - the skeleton or error is rendered within the page layout already
+ * @param {Object} [props.skeleton] - placeholder of the loaded content, paragraphs of text by default
+ */
 export default function GraphQLLoader(props) {
+  const site = useContext(SiteContext);
+
   if (props.error) {
+    const details = process.env.NODE_ENV === "development" && (
+      <pre>{JSON.stringify(props.error, undefined, 2)}</pre>
+    );
+
     if (process.env.NODE_ENV === "development") {
       console.error(`Error while fetching data: ${props.error}`);
-      return (
-        <div>
-          <h2>Error</h2>
-          <pre>{JSON.stringify(props.error, undefined, 2)}</pre>
-        </div>
-      );
     }
-    return <h2>Error while fetching data</h2>;
+
+    if (!props.inline) {
+      return <ErrorPage statusCode={500} onRetry={retry(props.onRetry)}>{details}</ErrorPage>;
+    }
+
+    return (
+      <div role="alert">
+        {/* content of the pages visited before is rendered from the persisted cache */}
+        <h2>{isOffline() ? "This content is not available offline" : "Error while fetching data"}</h2>
+        {details}
+        {props.onRetry && (
+          <Button variant="outlined" color="primary" onClick={retry(props.onRetry)}>Try again</Button>
+        )}
+      </div>
+    );
   }
 
   if (props.loading) {
-    return "loading...";
+    const skeleton = props.skeleton || (props.inline ? <RichTextSkeleton /> : (
+      <Container>
+        <RichTextSkeleton />
+      </Container>
+    ));
+
+    // the site configuration is not available before the App query is loaded
+    if (props.inline || !site) {
+      return skeleton;
+    }
+
+    return <Layout {...site} seo={loadingSeo}>{skeleton}</Layout>;
   } else {
     return null;
   }
@@ -2,11 +2,13 @@ import AppBar from "@material-ui/core/AppBar";
 import Toolbar from "@material-ui/core/Toolbar";
 import Typography from "@material-ui/core/Typography";
 import { makeStyles } from "@material-ui/core/styles";
-import { Action, Image, Link, SideDrawer } from ".";
+import { Image, LanguageContext, LanguageSwitcher, Link, MainMenu, SearchBox, SideDrawer } from ".";
 import { Container, Hidden } from "@material-ui/core";
+import { useContext } from "react";
+import { getLanguagePrefix } from "../utils/languages";
 
 
-const useStyles = makeStyles((theme) => ({
+const useStyles = makeStyles((_theme) => ({
   root: {
     flexGrow: 1,
   },
@@ -17,21 +19,19 @@ const useStyles = makeStyles((theme) => ({
     flexGrow: 1,
     display: "flex",
     justifyContent: "flex-end",
-    "& a": {
-      margin: theme.spacing(1),
-    }
   }
 }));
 
-function Header({ asset, title, mainMenuActions }) {
+function Header({ asset, title, mainMenuActions, alternates }) {
   const classes = useStyles();
+  const language = useContext(LanguageContext);
 
   return (
     <div className={classes.root}>
       <AppBar color="transparent" position="sticky">
         <Container>
           <Toolbar>
-            <Link href='/' className={classes.logo}>
+            <Link href={getLanguagePrefix(language)} className={classes.logo}>
               {asset
                 ? <Image
                    asset={asset}
@@ -44,16 +44,15 @@ function Header({ asset, title, mainMenuActions }) {
               }
             </Link>
             <Hidden smDown>
-              <div className={classes.mainMenu}>
-                {mainMenuActions.map((navigationItem, index) =>
-                    <Action key={index} action={navigationItem} />)}
-              </div>
+              <MainMenu items={mainMenuActions} className={classes.mainMenu} />
             </Hidden>
             <Hidden mdUp>
               <div className={classes.mainMenu}>
                 <SideDrawer navLinks={mainMenuActions}/>
               </div>
             </Hidden>
+            <SearchBox />
+            <LanguageSwitcher alternates={alternates} />
           </Toolbar>
         </Container>
       </AppBar>
@@ -11,7 +11,7 @@ const useStyles = makeStyles((theme) => ({
 
 // It is possible to use Icon component, but it would increase the bundle size https://material-ui.com/components/icons/#icon-font-icons
 function Icon(props) {
-  const icon = get(props, "icon.icon[0]._system_.codename", null) || get(props, "iconCodename", null);
+  const icon = get(props, "icon.icon.items[0]._system_.codename", null) || get(props, "iconCodename", null);
   const classes = useStyles();
 
   switch (icon) {
@@ -55,6 +55,26 @@ function Icon(props) {
       return (<svg className={classes.icon} viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
         <path d="M3 18h18v-2H3v2zm0-5h18v-2H3v2zm0-7v2h18V6H3z" />
       </svg>);
+    case "expand_more":
+      return (<svg className={classes.icon} viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+        <path d="M16.59 8.59L12 13.17 7.41 8.59 6 10l6 6 6-6z" />
+      </svg>);
+    case "expand_less":
+      return (<svg className={classes.icon} viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+        <path d="M12 8l-6 6 1.41 1.41L12 10.83l4.59 4.58L18 14z" />
+      </svg>);
+    case "chevron_right":
+      return (<svg className={classes.icon} viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+        <path d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z" />
+      </svg>);
+    case "content_copy":
+      return (<svg className={classes.icon} viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+        <path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z" />
+      </svg>);
+    case "check":
+      return (<svg className={classes.icon} viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+        <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z" />
+      </svg>);
     default:
       return (
         <UnknownComponent>Unknown icon</UnknownComponent>      );
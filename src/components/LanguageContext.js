@@ -0,0 +1,7 @@
+import React from "react";
+import { defaultLanguage } from "../utils/languages";
+
+// Language of the currently rendered route, used to build localized links
+const LanguageContext = React.createContext(defaultLanguage);
+
+export default LanguageContext;
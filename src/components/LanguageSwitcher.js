@@ -0,0 +1,45 @@
+import React, { useContext } from "react";
+import { Button, makeStyles } from "@material-ui/core";
+import { LanguageContext, Link } from ".";
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    display: "flex",
+    marginLeft: theme.spacing(1),
+  },
+  language: {
+    minWidth: theme.spacing(5),
+  },
+}));
+
+function LanguageSwitcher({ alternates }) {
+  const classes = useStyles();
+  const language = useContext(LanguageContext);
+
+  if (!alternates || alternates.length < 2) {
+    return null;
+  }
+
+  return (
+    <nav className={classes.root} aria-label="Language switcher">
+      {alternates.map(alternate => (
+        <Button
+          key={alternate.codename}
+          component={Link}
+          href={alternate.url}
+          hrefLang={alternate.locale}
+          lang={alternate.locale}
+          underline="none"
+          size="small"
+          className={classes.language}
+          color={alternate.codename === language ? "primary" : "default"}
+          aria-current={alternate.codename === language ? "true" : undefined}
+        >
+          {alternate.label}
+        </Button>
+      ))}
+    </nav>
+  );
+}
+
+export default LanguageSwitcher;
@@ -1,9 +1,13 @@
 import { Box, makeStyles } from "@material-ui/core";
-import { Header } from ".";
+import { Breadcrumbs, EditOverlay, Footer, Header, PreviewBanner, useUrlResolver } from ".";
+import { getAbsoluteUrl } from "../utils";
+import { getSlugFromPathName } from "../utils/getUrlFromMapping";
+import { defaultLanguage, getLanguage } from "../utils/languages";
 import { Helmet } from 'react-helmet-async';
 import React from 'react';
 import { createMuiTheme, ThemeProvider } from "@material-ui/core/styles";
 import CssBaseline from "@material-ui/core/CssBaseline";
+import { useLocation } from "react-router-dom";
 
 const useStyles = makeStyles((_theme) => ({
     root: {
@@ -24,9 +28,14 @@ function Layout(props) {
     const {
         description,
         keyWords,
-        canonicalUrl,
         noIndex
     } = props.seo;
+    // routes of the content reachable from several parents refer to its canonical URL
+    const slug = getSlugFromPathName(useLocation().pathname);
+    const canonicalSlug = useUrlResolver(props.mappings).getCanonicalUrl(slug);
+    const canonicalUrl = props.seo.canonicalUrl
+        || (typeof canonicalSlug === "string" && canonicalSlug !== slug ? getAbsoluteUrl(canonicalSlug) : null);
+    const alternates = props.alternates || [];
     const fontName = font === "nunito_sans" ? "Nunito Sans" : font === "fira_sans" ? "Fira Sans" : "Arial";
     const title = props.siteConfiguration.title && props.seo.title ? `${props.siteConfiguration.title} | ${props.seo.title}` : props.siteConfiguration.title
     const colors = {
@@ -80,6 +89,7 @@ function Layout(props) {
   return (
       <>
           <Helmet>
+              <html lang={getLanguage(props.siteConfiguration.language).locale} />
               <title>{title}</title>
               <meta charSet="utf-8" />
               <meta name="viewport" content="width=device-width, initial-scale=1.0" />
@@ -93,12 +103,18 @@ function Layout(props) {
               {keyWords && (
                   <meta name="keywords" content={keyWords} />
               )}
-              {canonicalUrl ?? (
+              {canonicalUrl && (
                   <link rel="canonical" href={canonicalUrl} />
               )}
               {noIndex && (
                   <meta name="robots" content="noindex,follow" />
               )}
+              {alternates.length > 1 && alternates.map(alternate => (
+                  <link key={alternate.codename} rel="alternate" hrefLang={alternate.locale} href={getAbsoluteUrl(alternate.url)} />
+              ))}
+              {alternates.length > 1 && alternates[0].codename === defaultLanguage && (
+                  <link rel="alternate" hrefLang="x-default" href={getAbsoluteUrl(alternates[0].url)} />
+              )}
 
               {(font !== "system-sans") && (
                   <link rel="preconnect" href="https://fonts.gstatic.com" crossOrigin="true" />
@@ -126,10 +142,14 @@ function Layout(props) {
           <ThemeProvider theme={theme}>
               <CssBaseline />
               <Box display="flex" flexDirection="column" alignItems="stretch" alignContent="space-between" className={classes.root}>
-                  <Header {...props.siteConfiguration} />
+                  <PreviewBanner />
+                  <Header {...props.siteConfiguration} alternates={alternates} />
+                  <Breadcrumbs mappings={props.mappings} />
                   <main className={classes.flex}>
                       {props.children}
                   </main>
+                  <Footer {...props.siteConfiguration} />
+                  <EditOverlay />
               </Box>
           </ThemeProvider>
       </>
@@ -7,6 +7,10 @@ import {
 } from "react-router-dom";
 import MuiLink from "@material-ui/core/Link";
 import { getUrlSlug } from '../utils';
+import { isLanguageRoot } from "../utils/languages";
+
+// absolute URLs (i.e. `https://...` or `mailto:...`) are not routed
+const isExternalUrl = (href) => typeof href === "string" && /^([a-z][a-z\d+.-]*:|\/\/)/i.test(href);
 
 function Link(props) {
   const {
@@ -18,14 +22,23 @@ function Link(props) {
     ...other
   } = props;
 
-  const absoluteLink = getUrlSlug(href);
+  const external = isExternalUrl(href);
+  const absoluteLink = external ? href : getUrlSlug(href);
 
-  let match = useRouteMatch(absoluteLink);
+  let match = useRouteMatch(external ? {} : { path: absoluteLink, exact: isLanguageRoot(absoluteLink) });
 
   const className = clsx(classNameProps, {
     [activeClassName]: match && activeClassName,
   });
 
+  if (external) {
+    const { children, ...linkProps } = other;
+
+    return naked
+      ? <a className={classNameProps} ref={innerRef} href={href} {...linkProps}>{children}</a>
+      : <MuiLink className={classNameProps} ref={innerRef} href={href} {...linkProps}>{children}</MuiLink>;
+  }
+
   if (naked) {
     return <RouterLink className={className} ref={innerRef} to={absoluteLink} {...other}/>;
   }
@@ -0,0 +1,144 @@
+import React, { useContext, useState } from "react";
+import clsx from "clsx";
+import { Button, Menu, MenuItem, makeStyles } from "@material-ui/core";
+import { useLocation } from "react-router-dom";
+import { Action, Icon, LanguageContext, Link, useUrlResolver } from ".";
+import { getActionLinkOptions, getActionUrl, getMenuItems, isMenuItemActive, isSubmenu } from "../utils/menu";
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    display: "flex",
+    alignItems: "center",
+    "& > *": {
+      margin: theme.spacing(1),
+    },
+  },
+  active: {
+    color: theme.palette.primary.main,
+  },
+  submenuLabel: {
+    flexGrow: 1,
+    marginRight: theme.spacing(2),
+  },
+}));
+
+// items of the dropdown are passed to the `Menu` directly (not wrapped in a fragment) for its keyboard navigation
+const renderMenuItems = (items, onClose, classes) => items.map((item, index) => isSubmenu(item)
+  ? <SubmenuItem key={index} menu={item} onClose={onClose} classes={classes} />
+  : <ActionMenuItem key={index} action={item} onClose={onClose} classes={classes} />);
+
+// the `Menu` passes the ref of the focused item
+const ActionMenuItem = React.forwardRef(({ action, onClose, classes, ...other }, ref) => {
+  const language = useContext(LanguageContext);
+  const urlResolver = useUrlResolver();
+
+  return (
+    <MenuItem
+      {...other}
+      ref={ref}
+      component={Link}
+      href={getActionUrl(action, language, urlResolver)}
+      underline="none"
+      color="inherit"
+      activeClassName={classes.active}
+      onClick={onClose}
+      {...getActionLinkOptions(action)}
+    >
+      {action.label}
+    </MenuItem>
+  );
+});
+
+// nested menu opened to the side of its item
+const SubmenuItem = React.forwardRef(({ menu, onClose, classes, ...other }, ref) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const language = useContext(LanguageContext);
+  const location = useLocation();
+  const urlResolver = useUrlResolver();
+  const id = `menu-${menu._system_.codename}`;
+
+  const closeAll = () => {
+    setAnchorEl(null);
+    onClose();
+  };
+
+  return (
+    <>
+      <MenuItem
+        {...other}
+        ref={ref}
+        aria-haspopup="true"
+        aria-controls={id}
+        aria-expanded={!!anchorEl}
+        className={clsx(isMenuItemActive(menu, language, location.pathname, urlResolver) && classes.active)}
+        onClick={event => setAnchorEl(event.currentTarget)}
+        onKeyDown={event => event.key === "ArrowRight" && setAnchorEl(event.currentTarget)}
+      >
+        <span className={classes.submenuLabel}>{menu.label}</span>
+        <Icon iconCodename="chevron_right" />
+      </MenuItem>
+      <Menu
+        id={id}
+        anchorEl={anchorEl}
+        open={!!anchorEl}
+        onClose={() => setAnchorEl(null)}
+        getContentAnchorEl={null}
+        anchorOrigin={{ vertical: "top", horizontal: "right" }}
+        transformOrigin={{ vertical: "top", horizontal: "left" }}
+      >
+        {renderMenuItems(getMenuItems(menu), closeAll, classes)}
+      </Menu>
+    </>
+  );
+});
+
+function MenuDropdown({ menu, classes }) {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const language = useContext(LanguageContext);
+  const location = useLocation();
+  const urlResolver = useUrlResolver();
+  const id = `menu-${menu._system_.codename}`;
+
+  return (
+    <>
+      <Button
+        aria-haspopup="true"
+        aria-controls={id}
+        aria-expanded={!!anchorEl}
+        className={clsx(isMenuItemActive(menu, language, location.pathname, urlResolver) && classes.active)}
+        endIcon={<Icon iconCodename={anchorEl ? "expand_less" : "expand_more"} />}
+        onClick={event => setAnchorEl(event.currentTarget)}
+      >
+        {menu.label}
+      </Button>
+      <Menu
+        id={id}
+        anchorEl={anchorEl}
+        open={!!anchorEl}
+        onClose={() => setAnchorEl(null)}
+        getContentAnchorEl={null}
+        anchorOrigin={{ vertical: "bottom", horizontal: "left" }}
+      >
+        {renderMenuItems(getMenuItems(menu), () => setAnchorEl(null), classes)}
+      </Menu>
+    </>
+  );
+}
+
+/**
+ * Main menu of the header - actions as buttons and submenus (`Menu` items of the `actions`) as dropdowns.
+ * The actions leading to the current page or its parent pages are highlighted.
+ */
+function MainMenu(props) {
+  const classes = useStyles();
+
+  return (
+    <nav className={clsx(classes.root, props.className)} aria-label="Main menu">
+      {props.items.map((item, index) => isSubmenu(item)
+        ? <MenuDropdown key={index} menu={item} classes={classes} />
+        : <Action key={index} action={item} activeClassName={classes.active} />)}
+    </nav>
+  );
+}
+
+export default MainMenu;
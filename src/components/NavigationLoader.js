@@ -0,0 +1,44 @@
+import React, { useMemo } from "react";
+import { useQuery } from "@apollo/client";
+import { getNavigationSubpagesQuery } from "../graphQLQueries";
+import { getUnresolvedNavigationItems, mergeNavigationSubpages } from "../utils/navigation";
+
+function NavigationSubpagesLoader(props) {
+  const { data: parentData, unresolvedItems } = props;
+  // the same document for the same items not to restart the query on every render
+  const query = useMemo(() => getNavigationSubpagesQuery(unresolvedItems), [unresolvedItems]);
+  const { loading, error, data, refetch } = useQuery(query);
+
+  const mergedData = useMemo(
+    () => data ? mergeNavigationSubpages(parentData, unresolvedItems, data) : null,
+    [parentData, unresolvedItems, data]
+  );
+
+  if (!mergedData) {
+    const Fallback = props.fallback;
+    return <Fallback loading={loading} error={error} refetch={refetch} />;
+  }
+
+  // the next levels might be unresolved yet
+  return <NavigationLoader {...props} data={mergedData} />;
+}
+
+/**
+ * Completes the HomePageQuery data by the levels of the navigation the query didn't fetch (see `utils/navigation.js`),
+ * the next levels of all the unresolved navigation items are loaded by one query.
+ * @param {Object} props
+ * @param {Object} props.data - HomePageQuery data
+ * @param {Function} props.fallback - component rendered while loading with the `loading`, `error` and `refetch` props
+ * @param {Function} props.children - renders the complete data
+ */
+function NavigationLoader(props) {
+  const unresolvedItems = useMemo(() => getUnresolvedNavigationItems(props.data), [props.data]);
+
+  if (unresolvedItems.length === 0) {
+    return props.children(props.data);
+  }
+
+  return <NavigationSubpagesLoader {...props} unresolvedItems={unresolvedItems} />;
+}
+
+export default NavigationLoader;
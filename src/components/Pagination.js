@@ -0,0 +1,101 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { makeStyles, Typography } from "@material-ui/core";
+import { Link } from ".";
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    marginTop: theme.spacing(2),
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  pages: {
+    display: "flex",
+    listStyle: "none",
+    margin: 0,
+    padding: 0,
+    "& > li": {
+      padding: theme.spacing(0, 1),
+    },
+  },
+}));
+
+// number of pages displayed around the current one, the rest is collapsed to ellipsis
+const siblingCount = 1;
+
+const getPageItems = (pageNumber, pageCount) => {
+  const items = [];
+
+  for (let page = 1; page <= pageCount; page++) {
+    if (page === 1 || page === pageCount || Math.abs(page - pageNumber) <= siblingCount) {
+      items.push(page);
+    }
+    else if (items[items.length - 1] !== null) {
+      items.push(null);
+    }
+  }
+
+  return items;
+};
+
+function PageLink(props) {
+  if (props.disabled) {
+    return (
+      <Typography component="span" color="textSecondary" aria-disabled="true">
+        {props.children}
+      </Typography>
+    );
+  }
+
+  return (
+    <Link href={props.href} rel={props.rel} aria-label={props.label}>
+      {props.children}
+    </Link>
+  );
+}
+
+function Pagination(props) {
+  const classes = useStyles();
+  const { pageNumber, pageCount, getPageUrl } = props;
+
+  if (pageCount < 2) {
+    return null;
+  }
+
+  return (
+    <nav className={classes.root} aria-label="Pagination">
+      <PageLink disabled={pageNumber <= 1} href={getPageUrl(pageNumber - 1)} rel="prev">
+        Previous page
+      </PageLink>
+      <ul className={classes.pages}>
+        {getPageItems(pageNumber, pageCount).map((page, index) => (
+          <li key={index}>
+            {page === null ? (
+              "…"
+            ) : page === pageNumber ? (
+              <Typography component="span" aria-current="page">
+                <strong>{page}</strong>
+              </Typography>
+            ) : (
+              <PageLink href={getPageUrl(page)} label={`Page ${page}`}>
+                {page}
+              </PageLink>
+            )}
+          </li>
+        ))}
+      </ul>
+      <PageLink disabled={pageNumber >= pageCount} href={getPageUrl(pageNumber + 1)} rel="next">
+        Next page
+      </PageLink>
+    </nav>
+  );
+}
+
+Pagination.propTypes = {
+  pageNumber: PropTypes.number.isRequired,
+  pageCount: PropTypes.number.isRequired,
+  getPageUrl: PropTypes.func.isRequired,
+};
+
+export default Pagination;
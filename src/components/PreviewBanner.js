@@ -0,0 +1,33 @@
+import React, { useContext } from "react";
+import { makeStyles, Typography } from "@material-ui/core";
+import { PreviewContext } from ".";
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: theme.spacing(0.5, 2),
+    backgroundColor: theme.palette.warning.main,
+    color: theme.palette.warning.contrastText,
+  },
+}));
+
+function PreviewBanner() {
+  const classes = useStyles();
+  const preview = useContext(PreviewContext);
+
+  if (!preview) {
+    return null;
+  }
+
+  return (
+    <div className={classes.root} role="status">
+      <Typography variant="body2">
+        <strong>Preview</strong> - you are seeing unpublished content
+      </Typography>
+    </div>
+  );
+}
+
+export default PreviewBanner;
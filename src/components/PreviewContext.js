@@ -0,0 +1,6 @@
+import React from "react";
+
+// Whether the unpublished content is being displayed
+const PreviewContext = React.createContext(false);
+
+export default PreviewContext;
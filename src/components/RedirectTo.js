@@ -0,0 +1,37 @@
+import React from "react";
+import { Redirect, Route } from "react-router-dom";
+
+const isAbsoluteUrl = (url) => /^[a-z][a-z\d+\-.]*:\/\//i.test(url);
+
+/**
+ * Redirect to a route or an external URL with the status code of the server side rendered response.
+ * @param {Object} props
+ * @param {string} props.to - URL including the PUBLIC_URL or an absolute URL
+ * @param {number} props.statusCode - 301 or 302
+ */
+function RedirectTo(props) {
+  return (
+    <Route render={({ staticContext, location }) => {
+      const external = isAbsoluteUrl(props.to);
+      // the query string (i.e. the listing filters) is kept for the routes
+      const url = !external && !props.to.includes("?") ? `${props.to}${location.search}` : props.to;
+
+      if (staticContext) {
+        staticContext.statusCode = props.statusCode;
+        if (external) {
+          staticContext.url = url;
+        }
+      }
+
+      if (!external) {
+        return <Redirect to={url} />;
+      }
+      if (!staticContext) {
+        window.location.replace(url);
+      }
+      return null;
+    }} />
+  );
+}
+
+export default RedirectTo;
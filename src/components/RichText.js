@@ -1,8 +1,9 @@
-import { makeStyles, Typography, useTheme } from "@material-ui/core";
+import { useContext } from "react";
+import { makeStyles, useTheme } from "@material-ui/core";
 import get from "lodash.get";
-import { Image, Link } from ".";
-import { getUrlFromMappingByCodename } from "../utils";
+import { Image, LanguageContext, Link, UnknownComponent, useUrlResolver } from ".";
 import RichTextComponent from "./RichTextComponent";
+import { getRichTextItemComponent } from "./richTextItems";
 
 const useStyles = makeStyles((theme) => ({
   richText: {
@@ -19,20 +20,6 @@ const useStyles = makeStyles((theme) => ({
       }
     }
   },
-  quote: {
-    fontStyle: "italic",
-    padding: theme.spacing(2),
-    marginTop: theme.spacing(2),
-    marginBottom: theme.spacing(2),
-    backgroundColor: theme.palette.grey[100],
-    display: "inline-block"
-  },
-  code: {
-    padding: theme.spacing(2),
-    backgroundColor: theme.palette.grey[100],
-    minWidth: "50vw",
-    display: "inline-block"
-  },
   inlineImage: {
     width: "theme.breakpoints.values.sm"
   },
@@ -41,6 +28,8 @@ const useStyles = makeStyles((theme) => ({
 function RichText(props) {
   const richTextElement = get(props, "richTextElement", "");
   const mappings = get(props, "mappings");
+  const language = useContext(LanguageContext);
+  const urlResolver = useUrlResolver(mappings);
 
   const classes = useStyles();
   const theme = useTheme();
@@ -50,27 +39,25 @@ function RichText(props) {
       className={classes.richText}
       richTextElement={richTextElement}
       mappings={mappings}
-      // TODO adjust naming and detection linked item vs. component - internal link https://kentico.atlassian.net/browse/DEL-3081
+      // linked items and components are rendered by the components registered in `richTextItems`
       resolveLinkedItem={(linkedItem, domNode, domToReact) => {
-        switch (linkedItem?._system_.type._system_.codename) {
-          case "quote":
-            return (
-              <blockquote className={classes.quote}>
-                &ldquo;{linkedItem.quoteText}&rdquo;
-              </blockquote>
-            );
-          case "code_block":
+        const typeCodename = get(linkedItem, "_system_.type._system_.codename", null);
+        const Component = (props.linkedItemComponents && props.linkedItemComponents[typeCodename])
+          || getRichTextItemComponent(typeCodename);
+
+        if (!Component) {
+          if (process.env.NODE_ENV === "development") {
+            console.error(`Unknown rich text item content type: ${typeCodename}`);
             return (
-              <Typography component="div" className={classes.code}>
-                <RichText
-                  {...props}
-                  richTextElement={get(linkedItem, "code", null)}
-                />
-              </Typography>
+              <UnknownComponent>
+                <pre>{JSON.stringify(linkedItem || domNode.attribs, undefined, 2)}</pre>
+              </UnknownComponent>
             );
-          default:
-            return domToReact([domNode]);
+          }
+          return domToReact([domNode]);
         }
+
+        return <Component item={linkedItem} mappings={mappings} />;
       }}
       resolveImage={(image, _domNode, _domToReact) => {
         return (
@@ -83,9 +70,10 @@ function RichText(props) {
           </div>
         );
       }}
-      resolveLink={(link, mappings, domNode, domToReact) => {
-        const url = getUrlFromMappingByCodename(mappings, link._system_.codename);
-        if (url) {
+      resolveLink={(link, _mappings, domNode, domToReact) => {
+        // links to the content reachable from several parents lead to its canonical URL
+        const url = urlResolver.getUrl(link, language);
+        if (typeof url === "string") {
           return (
             <Link href={url}>
               {domNode.children[0].data}
@@ -3,7 +3,7 @@ import parseHTML, { domToReact } from "html-react-parser";
 const IMAGE_ID_ATTRIBUTE_IDENTIFIER = "data-image-id";
 const LINKED_ITEM_ID_ATTRIBUTE_IDENTIFIER = "data-item-id";
 
-// TODO adjust naming and detection linked item vs. component - internal link https://kentico.atlassian.net/browse/DEL-3081
+// both the linked content items and the components are `<object>` elements referencing the item by its codename
 function isLinkedItem(domNode) {
   return domNode.name === "object" && domNode.attribs?.type === "application/kenticocloud";
 }
@@ -16,7 +16,6 @@ function isLink(domNode) {
   return domNode.name === "a" && typeof domNode.attribs?.[LINKED_ITEM_ID_ATTRIBUTE_IDENTIFIER] !== "undefined";
 }
 
-// TODO adjust naming and detection linked item vs. component - internal link https://kentico.atlassian.net/browse/DEL-3081
 function replaceNode(domNode, richTextElement, linkedItems, mappings, resolveLinkedItem, resolveImage, resolveLink, resolveDomNode) {
   const { assets, itemHyperlinks } = richTextElement;
 
@@ -49,15 +48,17 @@ function replaceNode(domNode, richTextElement, linkedItems, mappings, resolveLin
   }
 }
 
-// TODO enhance this component to be able to consume components as well ass linked items - internal link https://kentico.atlassian.net/browse/DEL-3081
 function RichTextComponent({ richTextElement, mappings, resolveLinkedItem, resolveImage, resolveLink, resolveDomNode, className }) {
   const cleanedValue = richTextElement.html.replace(/(\n|\r)+/, "");
-  // currenlty resolving only components
-  const linkedItems = richTextElement.components?.items.reduce((result, item) => {
+  // linked content items and components by their codename
+  const linkedItems = [
+    ...(richTextElement.linkedItems?.items || []),
+    ...(richTextElement.components?.items || []),
+  ].reduce((result, item) => {
     result[item._system_.codename] = item;
 
     return result;
-  },{}) || {};
+  }, {});
   const result = parseHTML(cleanedValue, {
     replace: (domNode) => replaceNode(domNode, richTextElement, linkedItems, mappings, resolveLinkedItem, resolveImage, resolveLink, resolveDomNode),
   });
@@ -0,0 +1,60 @@
+import React, { useContext, useEffect, useState } from "react";
+import { IconButton, InputBase, makeStyles } from "@material-ui/core";
+import SearchIcon from "@material-ui/icons/Search";
+import { useHistory, useLocation } from "react-router-dom";
+import { LanguageContext } from ".";
+import { getUrlSlug } from "../utils";
+import { getSearchQuery, getSearchQueryString } from "../utils/queryString";
+import { getSearchSlug } from "../utils/search";
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    display: "flex",
+    alignItems: "center",
+    marginLeft: theme.spacing(1),
+    paddingLeft: theme.spacing(1),
+    borderRadius: theme.shape.borderRadius,
+    backgroundColor: theme.palette.action.hover,
+  },
+  input: {
+    width: theme.spacing(16),
+  },
+}));
+
+function SearchBox() {
+  const classes = useStyles();
+  const history = useHistory();
+  const location = useLocation();
+  const language = useContext(LanguageContext);
+  const [query, setQuery] = useState(getSearchQuery(location));
+
+  // the box reflects the query of the search page
+  useEffect(() => {
+    setQuery(getSearchQuery(location));
+  }, [location]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+
+    if (query.trim()) {
+      history.push(`${getUrlSlug(getSearchSlug(language))}${getSearchQueryString(query.trim())}`);
+    }
+  };
+
+  return (
+    <form className={classes.root} role="search" onSubmit={handleSubmit}>
+      <InputBase
+        className={classes.input}
+        placeholder="Search…"
+        value={query}
+        onChange={({ target }) => setQuery(target.value)}
+        inputProps={{ "aria-label": "Search" }}
+      />
+      <IconButton type="submit" size="small" aria-label="Submit search">
+        <SearchIcon />
+      </IconButton>
+    </form>
+  );
+}
+
+export default SearchBox;
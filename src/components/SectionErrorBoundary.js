@@ -0,0 +1,53 @@
+import React from "react";
+import { Box, Button, Container, Typography } from "@material-ui/core";
+
+/**
+ * Renders a placeholder with the "Try again" action instead of a section which failed to render,
+ * so the rest of the landing page is still displayed.
+ */
+class SectionErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+    this.retry = this.retry.bind(this);
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    console.error(`Section ${this.props.codename} failed to render`, error, info.componentStack);
+  }
+
+  retry() {
+    // i.e. refetch of the page data which the section might have failed on
+    const retried = this.props.onRetry ? this.props.onRetry() : null;
+
+    Promise.resolve(retried)
+      .catch(() => undefined)
+      .then(() => this.setState({ error: null }));
+  }
+
+  render() {
+    if (!this.state.error) {
+      return this.props.children;
+    }
+
+    return (
+      <Box component="section" id={this.props.codename} py={4}>
+        <Container>
+          <Typography>This section could not be displayed.</Typography>
+          {process.env.NODE_ENV === "development" && (
+            <pre>{String(this.state.error)}</pre>
+          )}
+          <Button variant="outlined" color="primary" onClick={this.retry}>
+            Try again
+          </Button>
+        </Container>
+      </Box>
+    );
+  }
+}
+
+export default SectionErrorBoundary;
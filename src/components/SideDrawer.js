@@ -1,9 +1,11 @@
-import { Drawer, IconButton, List, ListItem } from "@material-ui/core";
+import { Collapse, Drawer, IconButton, List, ListItem, ListItemText } from "@material-ui/core";
 import { makeStyles } from "@material-ui/core/styles";
-import { useState } from "react";
-import { Action, Icon } from ".";
+import { useContext, useState } from "react";
+import { useLocation } from "react-router-dom";
+import { Action, Icon, LanguageContext, useUrlResolver } from ".";
+import { getMenuItems, isMenuItemActive, isSubmenu } from "../utils/menu";
 
-const useStyles = makeStyles({
+const useStyles = makeStyles((theme) => ({
   list: {
     width: 250
   },
@@ -11,8 +13,53 @@ const useStyles = makeStyles({
     textDecoration: "none",
     textTransform: "uppercase",
     color: "black"
-  }
-});
+  },
+  active: {
+    color: theme.palette.primary.main,
+  },
+  nested: {
+    paddingLeft: theme.spacing(2),
+  },
+}));
+
+// submenu as a collapsible group, the group of the current page is expanded initially
+function SideDrawerGroup({ menu, classes }) {
+  const language = useContext(LanguageContext);
+  const location = useLocation();
+  const urlResolver = useUrlResolver();
+  const active = isMenuItemActive(menu, language, location.pathname, urlResolver);
+  const [open, setOpen] = useState(active);
+
+  // the group is toggled without closing the drawer
+  const toggle = event => {
+    event.stopPropagation();
+    setOpen(!open);
+  };
+
+  return (
+    <>
+      <ListItem button onClick={toggle} onKeyDown={event => event.stopPropagation()} aria-expanded={open}>
+        <ListItemText primary={menu.label} primaryTypographyProps={{ className: active ? classes.active : undefined }} />
+        <Icon iconCodename={open ? "expand_less" : "expand_more"} />
+      </ListItem>
+      <Collapse in={open} timeout="auto" unmountOnExit>
+        <List component="div" disablePadding className={classes.nested}>
+          <SideDrawerItems items={getMenuItems(menu)} classes={classes} />
+        </List>
+      </Collapse>
+    </>
+  );
+}
+
+function SideDrawerItems({ items, classes }) {
+  return items.map((navigationItem, index) => isSubmenu(navigationItem)
+    ? <SideDrawerGroup key={index} menu={navigationItem} classes={classes} />
+    : (
+      <ListItem key={index} >
+        <Action action={navigationItem} activeClassName={classes.active} />
+      </ListItem>
+    ));
+}
 
 const SideDrawer = (props) => {
   const classes = useStyles();
@@ -37,11 +84,7 @@ const SideDrawer = (props) => {
       onKeyDown={toggleDrawer(anchor, false)}
     >
       <List component="nav">
-        {props.navLinks.map((navigationItem, index) => (
-          <ListItem key={index} >
-            <Action action={navigationItem} />
-          </ListItem>
-        ))}
+        <SideDrawerItems items={props.navLinks} classes={classes} />
       </List>
     </div>
   );
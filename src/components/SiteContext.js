@@ -0,0 +1,6 @@
+import React from "react";
+
+// Site configuration and URL mappings of the currently rendered route, used by the error pages rendered within the pages
+const SiteContext = React.createContext(null);
+
+export default SiteContext;
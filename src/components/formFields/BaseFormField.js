@@ -0,0 +1,95 @@
+import React from "react";
+import get from "lodash.get";
+import { Checkbox, FormControl, FormControlLabel, FormGroup, FormHelperText, makeStyles, TextField } from "@material-ui/core";
+import { gql } from "@apollo/client";
+
+export const baseFormFieldFields = gql`
+  fragment BaseFormFieldFields on BaseFormField {
+    _system_ {
+      codename
+      type {
+        _system_ {
+          codename
+        }
+      }
+    }
+    type {
+      items {
+        _system_ {
+          codename
+        }
+      }
+    }
+    name
+    label
+    defaultValue
+    configuration {
+      items {
+        _system_ {
+          codename
+        }
+      }
+    }
+  }
+`;
+
+const useStyles = makeStyles((theme) => ({
+  textArea: {
+    minWidth: 500
+  },
+  checkbox: {
+    paddingLeft: theme.spacing(1),
+  }
+}));
+
+// text input, text area or a single checkbox by the `type` taxonomy element
+function BaseFormField(props) {
+  const classes = useStyles();
+  const field = get(props, "field", null);
+  const type = get(field, "type.items[0]._system_.codename", null);
+
+  if (type === "checkbox") {
+    return (
+      <FormControl error={!!props.error} required={props.required} className={classes.checkbox}>
+        <FormGroup>
+          <FormControlLabel
+            control={
+              <Checkbox
+                id={props.id}
+                name={get(field, "name", null)}
+                checked={!!props.value}
+                onChange={event => props.onChange(event.target.checked)}
+                onBlur={props.onBlur}
+              />
+            }
+            label={get(field, "label", null)}
+          />
+        </FormGroup>
+        {props.error && <FormHelperText>{props.error}</FormHelperText>}
+      </FormControl>
+    );
+  }
+
+  const isTextArea = type === "textarea";
+
+  return (
+    <TextField
+      id={props.id}
+      type={isTextArea ? undefined : type}
+      multiline={isTextArea}
+      rows={isTextArea ? 4 : undefined}
+      label={get(field, "label", null)}
+      placeholder={get(field, "defaultValue", null)}
+      required={props.required}
+      name={get(field, "name", null)}
+      value={props.value || ""}
+      onChange={event => props.onChange(event.target.value)}
+      onBlur={props.onBlur}
+      error={!!props.error}
+      helperText={props.error}
+      className={`${props.className} ${isTextArea ? classes.textArea : ""}`}
+    />
+  );
+}
+
+export default BaseFormField;
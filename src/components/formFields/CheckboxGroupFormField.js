@@ -0,0 +1,77 @@
+import React from "react";
+import get from "lodash.get";
+import { Checkbox, FormControl, FormControlLabel, FormGroup, FormHelperText, FormLabel } from "@material-ui/core";
+import { gql } from "@apollo/client";
+
+export const checkboxGroupFormFieldFields = gql`
+  fragment CheckboxGroupFormFieldFields on CheckboxGroupFormField {
+    _system_ {
+      codename
+      type {
+        _system_ {
+          codename
+        }
+      }
+    }
+    name
+    label
+    configuration {
+      items {
+        _system_ {
+          codename
+        }
+      }
+    }
+    options {
+      items {
+        ... on SelectFormFieldOption {
+          label
+          value
+        }
+      }
+    }
+  }
+`;
+
+// the value is an array of the checked options values
+function CheckboxGroupFormField(props) {
+  const field = get(props, "field", null);
+  const labelId = `${props.id}-label`;
+  const value = props.value || [];
+
+  const handleChange = (optionValue, checked) => {
+    props.onChange(checked
+      ? value.concat([optionValue])
+      : value.filter(item => item !== optionValue));
+  };
+
+  return (
+    <FormControl
+      component="fieldset"
+      error={!!props.error}
+      required={props.required}
+      className={props.className}>
+      <FormLabel component="legend" id={labelId}>{get(field, "label")}</FormLabel>
+      <FormGroup aria-labelledby={labelId}>
+        {get(field, "options.items", []).map(option => (
+          <FormControlLabel
+            key={get(option, "value")}
+            control={
+              <Checkbox
+                name={get(field, "name", null)}
+                value={get(option, "value")}
+                checked={value.includes(get(option, "value"))}
+                onChange={event => handleChange(get(option, "value"), event.target.checked)}
+                onBlur={props.onBlur}
+              />
+            }
+            label={get(option, "label")}
+          />
+        ))}
+      </FormGroup>
+      {props.error && <FormHelperText>{props.error}</FormHelperText>}
+    </FormControl>
+  );
+}
+
+export default CheckboxGroupFormField;
@@ -0,0 +1,50 @@
+import React from "react";
+import get from "lodash.get";
+import { TextField } from "@material-ui/core";
+import { gql } from "@apollo/client";
+
+export const dateFormFieldFields = gql`
+  fragment DateFormFieldFields on DateFormField {
+    _system_ {
+      codename
+      type {
+        _system_ {
+          codename
+        }
+      }
+    }
+    name
+    label
+    configuration {
+      items {
+        _system_ {
+          codename
+        }
+      }
+    }
+  }
+`;
+
+// native date picker, the value is posted in the `YYYY-MM-DD` format
+function DateFormField(props) {
+  const field = get(props, "field", null);
+
+  return (
+    <TextField
+      id={props.id}
+      type="date"
+      label={get(field, "label", null)}
+      required={props.required}
+      name={get(field, "name", null)}
+      value={props.value || ""}
+      onChange={event => props.onChange(event.target.value)}
+      onBlur={props.onBlur}
+      error={!!props.error}
+      helperText={props.error}
+      InputLabelProps={{ shrink: true }}
+      className={props.className}
+    />
+  );
+}
+
+export default DateFormField;
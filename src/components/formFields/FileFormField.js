@@ -0,0 +1,98 @@
+import React from "react";
+import get from "lodash.get";
+import { Button, FormControl, FormHelperText, FormLabel, makeStyles, Typography } from "@material-ui/core";
+import { gql } from "@apollo/client";
+
+export const fileFormFieldFields = gql`
+  fragment FileFormFieldFields on FileFormField {
+    _system_ {
+      codename
+      type {
+        _system_ {
+          codename
+        }
+      }
+    }
+    name
+    label
+    configuration {
+      items {
+        _system_ {
+          codename
+        }
+      }
+    }
+    maxSize
+    acceptedTypes
+  }
+`;
+
+const useStyles = makeStyles((theme) => ({
+  // visually hidden, but still focusable by the keyboard and announced by the screen readers (`display: none` would remove it)
+  input: {
+    position: "absolute",
+    width: 1,
+    height: 1,
+    padding: 0,
+    margin: -1,
+    overflow: "hidden",
+    clip: "rect(0 0 0 0)",
+    whiteSpace: "nowrap",
+    border: 0,
+    "&:focus + label > *": {
+      outline: `2px solid ${theme.palette.primary.main}`,
+      outlineOffset: 2,
+    },
+  },
+  upload: {
+    position: "relative",
+    display: "flex",
+    alignItems: "center",
+    marginTop: theme.spacing(1),
+    "& > *": {
+      marginRight: theme.spacing(1),
+    },
+  },
+}));
+
+// the value is the selected `File`, its size (`max_size` in MB) and type (`accepted_types`) are validated by `utils/formValidation.js`
+function FileFormField(props) {
+  const classes = useStyles();
+  const field = get(props, "field", null);
+  const labelId = `${props.id}-label`;
+  const maxSize = get(field, "maxSize", null);
+
+  return (
+    <FormControl
+      error={!!props.error}
+      required={props.required}
+      className={props.className}>
+      <FormLabel id={labelId}>{get(field, "label")}</FormLabel>
+      <div className={classes.upload}>
+        <input
+          id={props.id}
+          className={classes.input}
+          type="file"
+          name={get(field, "name", null)}
+          accept={get(field, "acceptedTypes", null) || undefined}
+          aria-labelledby={labelId}
+          onChange={event => props.onChange(event.target.files[0] || null)}
+          onBlur={props.onBlur}
+        />
+        <label htmlFor={props.id}>
+          <Button variant="outlined" component="span">
+            Choose file
+          </Button>
+        </label>
+        <Typography variant="body2" color="textSecondary">
+          {props.value ? props.value.name : "No file chosen"}
+        </Typography>
+      </div>
+      <FormHelperText>
+        {props.error || (maxSize ? `Maximum size ${maxSize} MB` : null)}
+      </FormHelperText>
+    </FormControl>
+  );
+}
+
+export default FileFormField;
@@ -0,0 +1,31 @@
+import React from "react";
+import get from "lodash.get";
+import { gql } from "@apollo/client";
+
+export const hiddenFormFieldFields = gql`
+  fragment HiddenFormFieldFields on HiddenFormField {
+    _system_ {
+      codename
+      type {
+        _system_ {
+          codename
+        }
+      }
+    }
+    name
+    value
+  }
+`;
+
+// the value is taken from the content item, see `getInitialFormValue`
+function HiddenFormField(props) {
+  return (
+    <input
+      type="hidden"
+      name={get(props, "field.name", null)}
+      value={props.value || ""}
+    />
+  );
+}
+
+export default HiddenFormField;
@@ -0,0 +1,39 @@
+import React from "react";
+import { gql } from "@apollo/client";
+import SelectFormField from "./SelectFormField";
+
+export const multiSelectFormFieldFields = gql`
+  fragment MultiSelectFormFieldFields on MultiSelectFormField {
+    _system_ {
+      codename
+      type {
+        _system_ {
+          codename
+        }
+      }
+    }
+    name
+    label
+    configuration {
+      items {
+        _system_ {
+          codename
+        }
+      }
+    }
+    options {
+      items {
+        ... on SelectFormFieldOption {
+          label
+          value
+        }
+      }
+    }
+  }
+`;
+
+function MultiSelectFormField(props) {
+  return <SelectFormField {...props} multiple />;
+}
+
+export default MultiSelectFormField;
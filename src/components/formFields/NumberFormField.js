@@ -0,0 +1,59 @@
+import React from "react";
+import get from "lodash.get";
+import { TextField } from "@material-ui/core";
+import { gql } from "@apollo/client";
+
+export const numberFormFieldFields = gql`
+  fragment NumberFormFieldFields on NumberFormField {
+    _system_ {
+      codename
+      type {
+        _system_ {
+          codename
+        }
+      }
+    }
+    name
+    label
+    defaultValue
+    configuration {
+      items {
+        _system_ {
+          codename
+        }
+      }
+    }
+    min
+    max
+    step
+  }
+`;
+
+// `min` and `max` are validated by `utils/formValidation.js` as well
+function NumberFormField(props) {
+  const field = get(props, "field", null);
+
+  return (
+    <TextField
+      id={props.id}
+      type="number"
+      label={get(field, "label", null)}
+      placeholder={get(field, "defaultValue", null)}
+      required={props.required}
+      name={get(field, "name", null)}
+      value={props.value || ""}
+      onChange={event => props.onChange(event.target.value)}
+      onBlur={props.onBlur}
+      error={!!props.error}
+      helperText={props.error}
+      inputProps={{
+        min: field.min ?? undefined,
+        max: field.max ?? undefined,
+        step: field.step ?? undefined,
+      }}
+      className={props.className}
+    />
+  );
+}
+
+export default NumberFormField;
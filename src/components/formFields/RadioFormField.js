@@ -0,0 +1,68 @@
+import React from "react";
+import get from "lodash.get";
+import { FormControl, FormControlLabel, FormHelperText, FormLabel, Radio, RadioGroup } from "@material-ui/core";
+import { gql } from "@apollo/client";
+
+export const radioFormFieldFields = gql`
+  fragment RadioFormFieldFields on RadioFormField {
+    _system_ {
+      codename
+      type {
+        _system_ {
+          codename
+        }
+      }
+    }
+    name
+    label
+    configuration {
+      items {
+        _system_ {
+          codename
+        }
+      }
+    }
+    options {
+      items {
+        ... on SelectFormFieldOption {
+          label
+          value
+        }
+      }
+    }
+  }
+`;
+
+function RadioFormField(props) {
+  const field = get(props, "field", null);
+  const labelId = `${props.id}-label`;
+
+  return (
+    <FormControl
+      component="fieldset"
+      error={!!props.error}
+      required={props.required}
+      className={props.className}>
+      <FormLabel component="legend" id={labelId}>{get(field, "label")}</FormLabel>
+      <RadioGroup
+        aria-labelledby={labelId}
+        name={get(field, "name", null)}
+        value={props.value || ""}
+        onChange={event => props.onChange(event.target.value)}
+        onBlur={props.onBlur}
+      >
+        {get(field, "options.items", []).map(option => (
+          <FormControlLabel
+            key={get(option, "value")}
+            value={get(option, "value")}
+            control={<Radio />}
+            label={get(option, "label")}
+          />
+        ))}
+      </RadioGroup>
+      {props.error && <FormHelperText>{props.error}</FormHelperText>}
+    </FormControl>
+  );
+}
+
+export default RadioFormField;
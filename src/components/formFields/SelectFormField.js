@@ -0,0 +1,72 @@
+import React from "react";
+import get from "lodash.get";
+import { FormControl, FormHelperText, InputLabel, MenuItem, Select } from "@material-ui/core";
+import { gql } from "@apollo/client";
+
+export const selectFormFieldFields = gql`
+  fragment SelectFormFieldFields on SelectFormField {
+    _system_ {
+      codename
+      type {
+        _system_ {
+          codename
+        }
+      }
+    }
+    name
+    label
+    configuration {
+      items {
+        _system_ {
+          codename
+        }
+      }
+    }
+    options {
+      items {
+        ... on SelectFormFieldOption {
+          label
+          value
+        }
+      }
+    }
+  }
+`;
+
+// the value is an array of the selected options values with the `multiple` prop
+function SelectFormField(props) {
+  const field = get(props, "field", null);
+  const labelId = `${props.id}-label`;
+  const options = get(field, "options.items", []);
+
+  return (
+    <FormControl
+      error={!!props.error}
+      required={props.required}
+      className={props.className}>
+      <InputLabel id={labelId}>{get(field, "label")}</InputLabel>
+      <Select
+        labelId={labelId}
+        id={props.id}
+        name={get(field, "name", null)}
+        multiple={!!props.multiple}
+        onChange={event => props.onChange(event.target.value)}
+        onBlur={props.onBlur}
+        value={props.value || (props.multiple ? [] : "")}
+        renderValue={props.multiple
+          ? selected => options
+            .filter(option => selected.includes(get(option, "value")))
+            .map(option => get(option, "label"))
+            .join(", ")
+          : undefined}
+      >
+        {options.map(option => (
+          <MenuItem key={get(option, "value")} value={get(option, "value")}>{get(option, "label")}</MenuItem>
+        ))}
+      </Select>
+      {props.error && <FormHelperText>{props.error}</FormHelperText>}
+    </FormControl>
+  );
+}
+
+export default SelectFormField;
@@ -0,0 +1,55 @@
+import BaseFormField, { baseFormFieldFields } from "./BaseFormField";
+import SelectFormField, { selectFormFieldFields } from "./SelectFormField";
+import MultiSelectFormField, { multiSelectFormFieldFields } from "./MultiSelectFormField";
+import RadioFormField, { radioFormFieldFields } from "./RadioFormField";
+import CheckboxGroupFormField, { checkboxGroupFormFieldFields } from "./CheckboxGroupFormField";
+import DateFormField, { dateFormFieldFields } from "./DateFormField";
+import NumberFormField, { numberFormFieldFields } from "./NumberFormField";
+import FileFormField, { fileFormFieldFields } from "./FileFormField";
+import HiddenFormField, { hiddenFormFieldFields } from "./HiddenFormField";
+import get from "lodash.get";
+
+// Form field components are exported under the content type name (i.e. `RadioFormField` for `radio_form_field`)
+export {
+  BaseFormField,
+  SelectFormField,
+  MultiSelectFormField,
+  RadioFormField,
+  CheckboxGroupFormField,
+  DateFormField,
+  NumberFormField,
+  FileFormField,
+  HiddenFormField,
+};
+
+export {
+  baseFormFieldFields,
+  selectFormFieldFields,
+  multiSelectFormFieldFields,
+  radioFormFieldFields,
+  checkboxGroupFormFieldFields,
+  dateFormFieldFields,
+  numberFormFieldFields,
+  fileFormFieldFields,
+  hiddenFormFieldFields,
+};
+
+/**
+ * Value of the field before the user changes it.
+ * Fields with multiple values use arrays, single checkboxes booleans and file uploads `File` objects.
+ */
+export function getInitialFormValue(field) {
+  switch (field._system_.type._system_.codename) {
+    case "base_form_field":
+      return get(field, "type.items[0]._system_.codename") === "checkbox" ? false : "";
+    case "multi_select_form_field":
+    case "checkbox_group_form_field":
+      return [];
+    case "file_form_field":
+      return null;
+    case "hidden_form_field":
+      return field.value || "";
+    default:
+      return "";
+  }
+}
@@ -4,26 +4,66 @@ import Header from "./Header";
 import Link from "./Link";
 import Action from "./Action";
 import Filter from "./Filter";
+import DateRangeFilter from "./DateRangeFilter";
 import Image from "./Image";
 import SideDrawer from "./SideDrawer";
 import Icon from "./Icon";
 import FormField from "./FormField";
+import FormSubmissionContext from "./FormSubmissionContext";
+import FormChallengeContext from "./FormChallengeContext";
+import FakeChallenge from "./FakeChallenge";
 import RichText from "./RichText";
 import CtaButtons from "./CtaButtons";
 import GraphQLLoader from "./GraphQLLoader";
+import ErrorPage from "./ErrorPage";
+import SectionErrorBoundary from "./SectionErrorBoundary";
+import SiteContext from "./SiteContext";
+import RedirectTo from "./RedirectTo";
+import Breadcrumbs from "./Breadcrumbs";
+import MainMenu from "./MainMenu";
+import Footer from "./Footer";
+import useUrlResolver from "./useUrlResolver";
+import NavigationLoader from "./NavigationLoader";
+import LanguageContext from "./LanguageContext";
+import LanguageSwitcher from "./LanguageSwitcher";
+import PreviewContext from "./PreviewContext";
+import PreviewBanner from "./PreviewBanner";
+import EditOverlay from "./EditOverlay";
+import Pagination from "./Pagination";
+import SearchBox from "./SearchBox";
 
 export {
   CtaButtons,
   FormField,
+  FormSubmissionContext,
+  FormChallengeContext,
+  FakeChallenge,
   UnknownComponent,
   Layout,
   Header,
   Link,
   Filter,
+  DateRangeFilter,
   Action,
   Image,
   RichText,
   SideDrawer,
   Icon,
-  GraphQLLoader
-};
\ No newline at end of file
+  GraphQLLoader,
+  ErrorPage,
+  SectionErrorBoundary,
+  SiteContext,
+  RedirectTo,
+  NavigationLoader,
+  Breadcrumbs,
+  MainMenu,
+  Footer,
+  useUrlResolver,
+  LanguageContext,
+  LanguageSwitcher,
+  PreviewContext,
+  PreviewBanner,
+  EditOverlay,
+  Pagination,
+  SearchBox
+};
\ No newline at end of file
@@ -0,0 +1,14 @@
+import React from "react";
+import { Box } from "@material-ui/core";
+import { Action as ActionButton } from "..";
+
+// call to action button on its own line
+function Action({ item }) {
+  return (
+    <Box my={2}>
+      <ActionButton action={item} />
+    </Box>
+  );
+}
+
+export default Action;
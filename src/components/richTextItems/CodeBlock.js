@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from "react";
+import clsx from "clsx";
+import get from "lodash.get";
+import { htmlToDOM } from "html-react-parser";
+import Highlight, { defaultProps } from "prism-react-renderer";
+import theme from "prism-react-renderer/themes/github";
+import { IconButton, makeStyles, Typography } from "@material-ui/core";
+import { Icon } from "..";
+
+const useStyles = makeStyles((muiTheme) => ({
+  root: {
+    margin: muiTheme.spacing(2, 0),
+    backgroundColor: muiTheme.palette.grey[100],
+    borderRadius: muiTheme.shape.borderRadius,
+  },
+  toolbar: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    padding: muiTheme.spacing(0.5, 1, 0.5, 2),
+    borderBottom: `1px solid ${muiTheme.palette.divider}`,
+  },
+  pre: {
+    margin: 0,
+    padding: muiTheme.spacing(2, 0),
+    overflowX: "auto",
+    fontFamily: "Consolas, Monaco, \"Andale Mono\", monospace",
+    fontSize: "0.875rem",
+  },
+  // stretched to the longest line, so the highlighted lines are highlighted across the whole scrolled width
+  code: {
+    display: "inline-block",
+    minWidth: "100%",
+  },
+  line: {
+    paddingRight: muiTheme.spacing(2),
+  },
+  highlightedLine: {
+    backgroundColor: muiTheme.palette.action.selected,
+  },
+  lineNumber: {
+    display: "inline-block",
+    width: "3em",
+    paddingRight: muiTheme.spacing(2),
+    textAlign: "right",
+    opacity: 0.5,
+    userSelect: "none",
+  },
+}));
+
+const blockTags = ["p", "pre", "li", "h1", "h2", "h3", "h4", "h5", "h6"];
+
+const getNodesText = (nodes) => nodes.map(node => {
+  if (node.type === "text") {
+    return node.data;
+  }
+  if (node.name === "br") {
+    return "\n";
+  }
+
+  const text = getNodesText(node.children || []);
+  return blockTags.includes(node.name) ? `${text}\n` : text;
+}).join("");
+
+/**
+ * Plain text of the `code` rich text element - every paragraph (or line break) is one line of the code.
+ */
+export function getCodeText(html) {
+  return getNodesText(htmlToDOM(html || "", { decodeEntities: true }))
+    .replace(/\u00a0/g, " ")
+    .replace(/\n+$/, "");
+}
+
+/**
+ * Line ranges of the `highlighted_lines` element (i.e. `1, 4-6`) as `[start, end]` pairs, invalid ranges are skipped.
+ */
+export function getLineRanges(value) {
+  return (value || "").split(",")
+    .map(range => range.split("-").map(part => parseInt(part, 10)))
+    .map(([start, end]) => [start, isNaN(end) ? start : end])
+    .filter(([start, end]) => !isNaN(start) && start <= end);
+}
+
+function CopyButton({ code }) {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) {
+      return undefined;
+    }
+
+    const timeout = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timeout);
+  }, [copied]);
+
+  const copy = () => {
+    if (typeof navigator === "undefined" || !navigator.clipboard) {
+      return;
+    }
+
+    navigator.clipboard.writeText(code)
+      .then(() => setCopied(true))
+      .catch(error => console.error("Failed to copy the code", error));
+  };
+
+  const label = copied ? "Copied" : "Copy code";
+
+  return (
+    <IconButton size="small" aria-label={label} title={label} onClick={copy}>
+      <Icon iconCodename={copied ? "check" : "content_copy"} />
+    </IconButton>
+  );
+}
+
+/**
+ * Code of the `code_block` item highlighted by the language of its `code_language` element (plain text if not set or not supported),
+ * with the line numbers and the `highlighted_lines` highlighted.
+ */
+function CodeBlock({ item }) {
+  const classes = useStyles();
+  const code = getCodeText(get(item, "code.html", ""));
+  const language = get(item, "codeLanguage.items[0]._system_.codename", null);
+  const highlightedLines = getLineRanges(get(item, "highlightedLines", ""));
+  const isHighlighted = (lineNumber) => highlightedLines.some(([start, end]) => lineNumber >= start && lineNumber <= end);
+
+  return (
+    <div className={classes.root}>
+      <div className={classes.toolbar}>
+        <Typography variant="caption" color="textSecondary">{language || "text"}</Typography>
+        <CopyButton code={code} />
+      </div>
+      <Highlight {...defaultProps} theme={theme} code={code} language={language || "text"}>
+        {({ className, style, tokens, getLineProps, getTokenProps }) => (
+          <pre className={clsx(className, classes.pre)} style={{ ...style, backgroundColor: "transparent" }}>
+            <code className={classes.code}>
+              {tokens.map((line, index) => {
+                const lineProps = getLineProps({ line, key: index });
+                return (
+                  <div
+                    {...lineProps}
+                    key={index}
+                    className={clsx(lineProps.className, classes.line, isHighlighted(index + 1) && classes.highlightedLine)}
+                  >
+                    <span className={classes.lineNumber}>{index + 1}</span>
+                    {line.map((token, key) => <span key={key} {...getTokenProps({ token, key })} />)}
+                  </div>
+                );
+              })}
+            </code>
+          </pre>
+        )}
+      </Highlight>
+    </div>
+  );
+}
+
+export default CodeBlock;
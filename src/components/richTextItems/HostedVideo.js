@@ -0,0 +1,57 @@
+import React from "react";
+import get from "lodash.get";
+import { makeStyles } from "@material-ui/core";
+
+const useStyles = makeStyles((theme) => ({
+  // 16:9 frame of the full width
+  video: {
+    position: "relative",
+    paddingTop: "56.25%",
+    marginTop: theme.spacing(2),
+    marginBottom: theme.spacing(2),
+    "& iframe": {
+      position: "absolute",
+      top: 0,
+      left: 0,
+      width: "100%",
+      height: "100%",
+      border: 0,
+    },
+  },
+}));
+
+// privacy-enhanced players without the tracking cookies
+const videoHosts = {
+  youtube: {
+    label: "YouTube",
+    getEmbedUrl: videoId => `https://www.youtube-nocookie.com/embed/${encodeURIComponent(videoId)}`,
+  },
+  vimeo: {
+    label: "Vimeo",
+    getEmbedUrl: videoId => `https://player.vimeo.com/video/${encodeURIComponent(videoId)}?dnt=1`,
+  },
+};
+
+function HostedVideo({ item }) {
+  const classes = useStyles();
+  const videoId = get(item, "videoId", null);
+  const host = videoHosts[get(item, "videoHost.items[0]._system_.codename", "youtube")];
+
+  if (!videoId || !host) {
+    return null;
+  }
+
+  return (
+    <div className={classes.video}>
+      <iframe
+        src={host.getEmbedUrl(videoId)}
+        title={`${host.label} video`}
+        loading="lazy"
+        allow="accelerometer; autoplay; encrypted-media; gyroscope; picture-in-picture; fullscreen"
+        allowFullScreen
+      />
+    </div>
+  );
+}
+
+export default HostedVideo;
@@ -0,0 +1,25 @@
+import React from "react";
+import { makeStyles } from "@material-ui/core";
+
+const useStyles = makeStyles((theme) => ({
+  quote: {
+    fontStyle: "italic",
+    padding: theme.spacing(2),
+    marginTop: theme.spacing(2),
+    marginBottom: theme.spacing(2),
+    backgroundColor: theme.palette.grey[100],
+    display: "inline-block"
+  },
+}));
+
+function Quote({ item }) {
+  const classes = useStyles();
+
+  return (
+    <blockquote className={classes.quote}>
+      &ldquo;{item.quoteText}&rdquo;
+    </blockquote>
+  );
+}
+
+export default Quote;
@@ -0,0 +1,40 @@
+import React, { useMemo } from "react";
+import get from "lodash.get";
+import camelCase from "lodash.camelcase";
+import upperFirst from "lodash.upperfirst";
+import { useQuery } from "@apollo/client";
+import { GraphQLLoader, SectionErrorBoundary } from "..";
+import * as sections from "../sections";
+import { getSectionQuery } from "../sections/useSectionData";
+
+/**
+ * Landing page section linked in rich text. Rich text selects just its system fields (section fragments contain rich text),
+ * so the section is loaded by its own query.
+ */
+function Section({ item, mappings }) {
+  const typeCodename = get(item, "_system_.type._system_.codename", null);
+  const fieldName = camelCase(typeCodename);
+  const Component = sections[upperFirst(fieldName)];
+  const query = useMemo(
+    () => getSectionQuery(fieldName, sections.sectionFragments[typeCodename]),
+    [fieldName, typeCodename]
+  );
+  const { loading, error, data, refetch } = useQuery(query, {
+    variables: {
+      codename: get(item, "_system_.codename", null),
+      languageCodename: get(item, "_system_.language._system_.codename", null),
+    },
+  });
+
+  if (!data?.[fieldName]) {
+    return <GraphQLLoader loading={loading} error={error} onRetry={refetch} inline />;
+  }
+
+  return (
+    <SectionErrorBoundary codename={get(item, "_system_.codename", null)} onRetry={refetch}>
+      <Component section={data[fieldName]} mappings={mappings} />
+    </SectionErrorBoundary>
+  );
+}
+
+export default Section;
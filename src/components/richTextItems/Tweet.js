@@ -0,0 +1,81 @@
+import React, { useEffect, useRef, useState } from "react";
+import get from "lodash.get";
+import { Link } from "..";
+
+const widgetsScriptUrl = "https://platform.twitter.com/widgets.js";
+
+let widgetsScript = null;
+
+// the script is loaded once for all the tweets
+const loadWidgetsScript = () => {
+  if (!widgetsScript) {
+    widgetsScript = new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = widgetsScriptUrl;
+      script.async = true;
+      script.onload = resolve;
+      script.onerror = reject;
+      document.body.appendChild(script);
+    });
+  }
+
+  return widgetsScript;
+};
+
+// id of the tweet from its link i.e. `https://twitter.com/kontent_ai/status/1234567890`
+export const getTweetId = (url) => {
+  const match = /\/status(?:es)?\/(\d+)/.exec(url || "");
+  return match ? match[1] : null;
+};
+
+// the link to the tweet is rendered on the server and replaced by the embedded tweet in the browser,
+// the tweet is embedded into an empty container the widget owns, React never renders into it
+function Tweet({ item }) {
+  const ref = useRef(null);
+  const [embedded, setEmbedded] = useState(false);
+  const url = get(item, "tweetLink", null);
+  const tweetId = getTweetId(url);
+  const theme = get(item, "theme.items[0]._system_.codename", "light");
+
+  useEffect(() => {
+    const container = ref.current;
+    if (!tweetId || !container) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    setEmbedded(false);
+    loadWidgetsScript()
+      .then(() => window.twttr?.widgets?.createTweet(tweetId, container, { theme, dnt: true }))
+      .then(element => {
+        if (!cancelled && element) {
+          setEmbedded(true);
+        }
+      })
+      // the link stays if the script is blocked
+      .catch(() => undefined);
+
+    return () => {
+      cancelled = true;
+      container.innerHTML = "";
+    };
+  }, [tweetId, theme]);
+
+  if (!url) {
+    return null;
+  }
+
+  return (
+    <div>
+      {!embedded && (
+        // not marked as `twitter-tweet`, the widgets script would replace it when scanning the page
+        <blockquote>
+          <Link href={url}>{url}</Link>
+        </blockquote>
+      )}
+      <div ref={ref} />
+    </div>
+  );
+}
+
+export default Tweet;
@@ -0,0 +1,45 @@
+import Quote from "./Quote";
+import CodeBlock from "./CodeBlock";
+import Tweet from "./Tweet";
+import HostedVideo from "./HostedVideo";
+import Action from "./Action";
+import Section from "./Section";
+import { sectionFragments } from "../sections";
+
+export {
+  Quote,
+  CodeBlock,
+  Tweet,
+  HostedVideo,
+  Action,
+  Section,
+};
+
+// Components rendering the content items (and components) linked in rich text by their content type codename,
+// their fields are selected by `RichTextFields` (see `graphQLFragments.js`).
+const richTextItemComponents = {
+  quote: Quote,
+  code_block: CodeBlock,
+  tweet: Tweet,
+  hosted_video: HostedVideo,
+  action: Action,
+};
+
+/**
+ * Registers the component rendering the items of the content type in rich text,
+ * the fields it needs have to be selected by `RichTextFields`.
+ * @param {string} typeCodename
+ * @param {Function} component - rendered with the `item` and `mappings` props
+ */
+export function registerRichTextItem(typeCodename, component) {
+  richTextItemComponents[typeCodename] = component;
+}
+
+/**
+ * Component of the content type registered by `registerRichTextItem`, landing page sections are rendered by `Section`.
+ * @returns {Function|null} `null` for unknown types
+ */
+export function getRichTextItemComponent(typeCodename) {
+  // sections are resolved when rendered as the modules of the sections and rich text depend on each other
+  return richTextItemComponents[typeCodename] || (sectionFragments[typeCodename] ? Section : null);
+}
@@ -1,120 +1,236 @@
-import React, { useState } from "react";
+import React, { useContext, useState } from "react";
 import {
   richTextFields,
 } from "../../graphQLFragments";
 import get from "lodash.get";
 import { Button, Container, makeStyles, Typography } from "@material-ui/core";
-import { FormField, GraphQLLoader, RichText } from "..";
-import { gql, useQuery } from "@apollo/client";
+import { FormChallengeContext, FormField, FormSubmissionContext, PreviewContext, RichText } from "..";
+import {
+  baseFormFieldFields,
+  checkboxGroupFormFieldFields,
+  dateFormFieldFields,
+  fileFormFieldFields,
+  getInitialFormValue,
+  hiddenFormFieldFields,
+  multiSelectFormFieldFields,
+  numberFormFieldFields,
+  radioFormFieldFields,
+  selectFormFieldFields,
+} from "../formFields";
+import { getAnnotations } from "../../utils";
+import { getFormAction } from "../../utils/formSubmission";
+import {
+  blockReasons,
+  getBlockReason,
+  getFormProtection,
+  getLastSubmittedAt,
+  getProtectionValues,
+  honeypotFieldName,
+  setLastSubmittedAt,
+} from "../../utils/formProtection";
+import { validateForm } from "../../utils/formValidation";
+import { gql } from "@apollo/client";
 
 const useStyles = makeStyles((theme) => ({
   formSubmission: {
     marginTop: theme.spacing(4),
     marginBottom: theme.spacing(1),
   },
+  formStatus: {
+    marginTop: theme.spacing(2),
+  },
+  // hidden from people including the screen reader users, but not by the `type="hidden"` bots skip
+  honeypot: {
+    position: "absolute",
+    left: -10000,
+    width: 1,
+    height: 1,
+    overflow: "hidden",
+  },
+  challenge: {
+    margin: theme.spacing(1),
+  },
 }));
 
-function ContactSection(props) {
-  const query = gql`
-    query ContactSectionQuery($codename: String!, $languageCodename: String!) {
-      contactSection(
-        codename: $codename
-        languageFilter: { languageCodename: $languageCodename }
-      ) {
-        title
-        subtitle {
-          ...RichTextFields
+// honeypot submissions look successful not to give a hint to the bots, people are told what to do in the other cases
+const blockMessages = {
+  [blockReasons.minimumTime]: "The form was submitted too quickly, please check the values and submit it again.",
+  [blockReasons.challenge]: "Please confirm you are not a robot.",
+  [blockReasons.rateLimit]: "The form was submitted just now, please wait a moment before submitting it again.",
+};
+
+const getInitialValues = (fields) => fields.reduce((values, field) => {
+  values[field.name] = getInitialFormValue(field);
+  return values;
+}, {});
+
+export const contactSectionFields = gql`
+  fragment ContactSectionFields on ContactSection {
+    _system_ {
+      id
+      codename
+      language {
+        _system_ {
+          codename
         }
-        content {
-          ...RichTextFields
+      }
+      type {
+        _system_ {
+          codename
         }
-        form {
-          ... on Form {
-            formId
-            formAction
-            submitLabel
-            fields {
-              items {
-                ... on BaseFormField {
-                  _system_ {
-                    type {
-                      _system_ {
-                        codename
-                      }
-                    }
-                  }
-                  type {
-                    items {
-                      _system_ {
-                        codename
-                      }
-                    }
-                  }
-                  name
-                  label
-                  defaultValue
-                  configuration {
-                    items {
-                      _system_ {
-                        codename
-                      }
-                    }
-                  }
-                }
-                ... on SelectFormField {
-                  _system_ {
-                    type {
-                      _system_ {
-                        codename
-                      }
-                    }
-                  }
-                  label
-                  options {
-                    items {
-                      ... on SelectFormFieldOption {
-                        label
-                        value
-                      }
-                    }
-                  }
-                }
-              }
+      }
+    }
+    title
+    subtitle {
+      ...RichTextFields
+    }
+    content {
+      ...RichTextFields
+    }
+    form {
+      ... on Form {
+        formId
+        formAction
+        submitLabel
+        spamProtection {
+          items {
+            _system_ {
+              codename
             }
           }
         }
+        fields {
+          items {
+            ...BaseFormFieldFields
+            ...SelectFormFieldFields
+            ...MultiSelectFormFieldFields
+            ...RadioFormFieldFields
+            ...CheckboxGroupFormFieldFields
+            ...DateFormFieldFields
+            ...NumberFormFieldFields
+            ...FileFormFieldFields
+            ...HiddenFormFieldFields
+          }
+        }
       }
     }
+  }
 
-    ${richTextFields}
-  `;
+  ${richTextFields}
+  ${baseFormFieldFields}
+  ${selectFormFieldFields}
+  ${multiSelectFormFieldFields}
+  ${radioFormFieldFields}
+  ${checkboxGroupFormFieldFields}
+  ${dateFormFieldFields}
+  ${numberFormFieldFields}
+  ${fileFormFieldFields}
+  ${hiddenFormFieldFields}
+`;
 
+function ContactSection(props) {
   const classes = useStyles();
+  const preview = useContext(PreviewContext);
+  const submitHandler = useContext(FormSubmissionContext);
+  const challengeProvider = useContext(FormChallengeContext);
 
-  const [section, setSection] = useState(null);
-
-  const { loading, error } = useQuery(
-    query,
-    {
-      variables: {
-        codename: props.section._system_.codename,
-        languageCodename: props.section._system_.language._system_.codename,
-      },
-      onCompleted: (data) => {
-        setSection(data.contactSection);
-      },
-    },
-    [props.section.codename, props.section.languageCodename]
-  );
+  // only the changed values are kept, the initial ones are derived from the fields
+  const [values, setValues] = useState({});
+  const [errors, setErrors] = useState({});
+  const [touched, setTouched] = useState({});
+  // "idle", "submitting", "success", "failure" or "blocked"
+  const [status, setStatus] = useState("idle");
+  const [blockReason, setBlockReason] = useState(null);
+  const [honeypotValue, setHoneypotValue] = useState("");
+  const [challengeToken, setChallengeToken] = useState(null);
+  // remounts the challenge component to get a new token
+  const [challengeKey, setChallengeKey] = useState(0);
+  const [displayedAt] = useState(() => Date.now());
 
-  if (error || loading || !section) {
-    return <GraphQLLoader error={error} loading={loading} />;
-  }
+  const { section } = props;
+  const fields = get(section, "form.fields.items", []).filter(field => field.name);
+  const formValues = { ...getInitialValues(fields), ...values };
+  const formProtection = getFormProtection(section.form);
+  // the challenge is skipped when no provider is set
+  const protection = { ...formProtection, challenge: formProtection.challenge && !!challengeProvider };
+
+  // fields are validated after they were visited, all of them on submit
+  const validate = (newValues, newTouched) => {
+    const formErrors = validateForm(fields, newValues);
+    setErrors(Object.keys(formErrors)
+      .filter(name => newTouched[name])
+      .reduce((result, name) => ({ ...result, [name]: formErrors[name] }), {}));
+
+    return formErrors;
+  };
+
+  const handleChange = (name, value) => {
+    const newValues = { ...formValues, [name]: value };
+    setValues(newValues);
+    validate(newValues, touched);
+  };
+
+  const handleBlur = (name) => {
+    const newTouched = { ...touched, [name]: true };
+    setTouched(newTouched);
+    validate(formValues, newTouched);
+  };
+
+  // tokens of the challenge providers are valid for a single submission
+  const resetChallenge = () => {
+    setChallengeToken(null);
+    setChallengeKey(key => key + 1);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+
+    const allTouched = fields.reduce((result, field) => ({ ...result, [field.name]: true }), {});
+    setTouched(allTouched);
+
+    if (Object.keys(validate(formValues, allTouched)).length > 0) {
+      return;
+    }
+
+    const formId = get(section.form, "formId", null);
+    const submission = { honeypotValue, displayedAt, lastSubmittedAt: getLastSubmittedAt(formId), challengeToken };
+    const reason = getBlockReason(protection, submission);
+    // the form endpoint must verify the protections as well, see `getProtectionValues`
+    const submittedValues = {
+      ...formValues,
+      ...getProtectionValues(protection, submission, get(challengeProvider, "tokenFieldName", null)),
+    };
+
+    setStatus("submitting");
+    submitHandler(getFormAction(get(section.form, "formAction", null)), submittedValues, { blockReason: reason })
+      .then(() => {
+        if (blockMessages[reason]) {
+          setBlockReason(reason);
+          setStatus("blocked");
+          return;
+        }
+
+        setStatus("success");
+        setValues({});
+        setTouched({});
+        setErrors({});
+        resetChallenge();
+        if (!reason) {
+          setLastSubmittedAt(formId);
+        }
+      })
+      .catch(error => {
+        console.error(error);
+        setStatus("failure");
+        resetChallenge();
+      });
+  };
 
   return (
     <section
       id={get(section, "_system_.codename", null)}
       className={classes.section}
+      {...getAnnotations(preview, section._system_)}
     >
       <Container>
         <div className={classes.intro}>
@@ -144,18 +260,76 @@ function ContactSection(props) {
             id={get(section.form, "formId", null)}
             action={get(section.form, "formAction", null)}
             method="POST"
+            encType={fields.some(field => field._system_.type._system_.codename === "file_form_field")
+              ? "multipart/form-data"
+              : undefined}
+            noValidate
+            onSubmit={handleSubmit}
           >
             {get(section.form, "fields.items", []).map((field, field_idx) => (
-              <FormField field={field} key={field_idx} />
+              <FormField
+                field={field}
+                formId={get(section.form, "formId", null)}
+                key={field_idx}
+                value={formValues[field.name]}
+                error={errors[field.name]}
+                onChange={value => handleChange(field.name, value)}
+                onBlur={() => handleBlur(field.name)}
+              />
             ))}
 
+            {protection.honeypot && (
+              <div className={classes.honeypot} aria-hidden="true">
+                <label htmlFor={`${get(section.form, "formId", null)}-${honeypotFieldName}`}>
+                  Leave this field empty
+                </label>
+                <input
+                  id={`${get(section.form, "formId", null)}-${honeypotFieldName}`}
+                  type="text"
+                  name={honeypotFieldName}
+                  tabIndex={-1}
+                  autoComplete="off"
+                  value={honeypotValue}
+                  onChange={event => setHoneypotValue(event.target.value)}
+                />
+              </div>
+            )}
+
+            {protection.challenge && (
+              <div className={classes.challenge}>
+                <challengeProvider.Component
+                  key={challengeKey}
+                  formId={get(section.form, "formId", null)}
+                  onToken={setChallengeToken}
+                />
+              </div>
+            )}
+
             <Button
+              type="submit"
               variant="contained"
               color="primary"
+              disabled={status === "submitting"}
               className={classes.formSubmission}
             >
               {get(section.form, "submitLabel", null)}
             </Button>
+
+            {status === "success" && (
+              <Typography role="status" className={classes.formStatus}>
+                Thank you, the form was submitted.
+              </Typography>
+            )}
+            {status === "blocked" && (
+              <Typography role="alert" color="error" className={classes.formStatus}>
+                {blockMessages[blockReason]}
+              </Typography>
+            )}
+            {status === "failure" && (
+              <Typography role="alert" color="error" className={classes.formStatus}>
+                The form could not be submitted, please try again later.
+              </Typography>
+            )}
           </form>
         )}
       </Container>
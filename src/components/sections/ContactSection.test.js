@@ -0,0 +1,144 @@
+import React from "react";
+import "@testing-library/jest-dom";
+import { MockedProvider } from "@apollo/client/testing";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { FormChallengeContext, FormSubmissionContext } from "..";
+import { fakeChallengeProvider } from "../FakeChallenge";
+import ContactSection from "./ContactSection";
+
+const system = (codename, type) => ({
+  codename,
+  type: { _system_: { codename: type } },
+  language: { _system_: { codename: "default" } },
+});
+
+const richText = (html) => ({
+  html,
+  itemHyperlinks: { items: [] },
+  assets: { items: [] },
+  linkedItems: { items: [] },
+  components: { items: [] },
+});
+
+const emailField = {
+  _system_: system("email_field", "base_form_field"),
+  type: { items: [{ _system_: { codename: "email" } }] },
+  name: "email",
+  label: "Email",
+  defaultValue: null,
+  configuration: { items: [{ _system_: { codename: "required" } }, { _system_: { codename: "email" } }] },
+};
+
+const topicField = {
+  _system_: system("topic_field", "select_form_field"),
+  name: "topic",
+  label: "Topic",
+  configuration: { items: [{ _system_: { codename: "required" } }] },
+  options: { items: [{ label: "Sales", value: "sales" }, { label: "Support", value: "support" }] },
+};
+
+const getSection = (fields) => ({
+  _system_: system("contact_us", "contact_section"),
+  title: "Contact us",
+  subtitle: null,
+  content: richText("<p>Write us a message.</p>"),
+  form: {
+    _system_: system("contact_form", "form"),
+    formId: "contact_form",
+    formAction: "https://example.com/forms/contact",
+    submitLabel: "Send",
+    spamProtection: { items: [{ _system_: { codename: "challenge" } }] },
+    fields: { items: fields },
+  },
+});
+
+const renderSection = (submitHandler, fields = [emailField]) => render(
+  <MockedProvider>
+    <FormSubmissionContext.Provider value={submitHandler}>
+      <FormChallengeContext.Provider value={fakeChallengeProvider}>
+        <ContactSection section={getSection(fields)} mappings={{}} />
+      </FormChallengeContext.Provider>
+    </FormSubmissionContext.Provider>
+  </MockedProvider>
+);
+
+describe("ContactSection", () => {
+  beforeEach(() => window.sessionStorage.clear());
+
+  it("does not submit the invalid form", () => {
+    const submitHandler = jest.fn(() => Promise.resolve());
+    renderSection(submitHandler);
+
+    fireEvent.change(screen.getByLabelText(/Email/), { target: { value: "jane@" } });
+    fireEvent.click(screen.getByRole("button", { name: "Send" }));
+
+    expect(screen.getByText("Enter a valid email address.")).toBeInTheDocument();
+    expect(submitHandler).not.toHaveBeenCalled();
+  });
+
+  it("does not submit the form without the required select value", () => {
+    const submitHandler = jest.fn(() => Promise.resolve());
+    renderSection(submitHandler, [emailField, topicField]);
+
+    fireEvent.change(screen.getByLabelText(/Email/), { target: { value: "jane@example.com" } });
+    fireEvent.click(screen.getByLabelText("I am not a robot"));
+    fireEvent.click(screen.getByRole("button", { name: "Send" }));
+
+    expect(screen.getByText("This field is required.")).toBeInTheDocument();
+    expect(submitHandler).not.toHaveBeenCalled();
+  });
+
+  it("asks for the challenge before the submission", async () => {
+    const submitHandler = jest.fn(() => Promise.resolve());
+    renderSection(submitHandler);
+
+    fireEvent.change(screen.getByLabelText(/Email/), { target: { value: "jane@example.com" } });
+    fireEvent.click(screen.getByRole("button", { name: "Send" }));
+
+    expect(await screen.findByText("Please confirm you are not a robot.")).toBeInTheDocument();
+    expect(submitHandler).toHaveBeenCalledWith(
+      "https://example.com/forms/contact",
+      { email: "jane@example.com", [fakeChallengeProvider.tokenFieldName]: null },
+      { blockReason: "challenge" }
+    );
+  });
+
+  it("submits the values with the challenge token", async () => {
+    const submitHandler = jest.fn(() => Promise.resolve());
+    renderSection(submitHandler);
+
+    fireEvent.change(screen.getByLabelText(/Email/), { target: { value: "jane@example.com" } });
+    fireEvent.click(screen.getByLabelText("I am not a robot"));
+    fireEvent.click(screen.getByRole("button", { name: "Send" }));
+
+    expect(await screen.findByText("Thank you, the form was submitted.")).toBeInTheDocument();
+    expect(submitHandler).toHaveBeenCalledWith(
+      "https://example.com/forms/contact",
+      { email: "jane@example.com", [fakeChallengeProvider.tokenFieldName]: "fake-challenge-token" },
+      { blockReason: null }
+    );
+    await waitFor(() => expect(screen.getByLabelText(/Email/)).toHaveValue(""));
+  });
+
+  it("asks for the challenge again after the submission", async () => {
+    const submitHandler = jest.fn(() => Promise.resolve());
+    renderSection(submitHandler);
+
+    fireEvent.change(screen.getByLabelText(/Email/), { target: { value: "jane@example.com" } });
+    fireEvent.click(screen.getByLabelText("I am not a robot"));
+    fireEvent.click(screen.getByRole("button", { name: "Send" }));
+    await screen.findByText("Thank you, the form was submitted.");
+
+    expect(screen.getByLabelText("I am not a robot")).not.toBeChecked();
+
+    fireEvent.change(screen.getByLabelText(/Email/), { target: { value: "john@example.com" } });
+    fireEvent.click(screen.getByRole("button", { name: "Send" }));
+
+    expect(await screen.findByText("Please confirm you are not a robot.")).toBeInTheDocument();
+    expect(submitHandler).toHaveBeenLastCalledWith(
+      "https://example.com/forms/contact",
+      { email: "john@example.com", [fakeChallengeProvider.tokenFieldName]: null },
+      { blockReason: "challenge" }
+    );
+  });
+});
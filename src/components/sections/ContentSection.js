@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useContext } from "react";
 import get from "lodash.get";
 import {
   Container,
@@ -12,8 +12,9 @@ import {
   assetFields,
   richTextFields,
 } from "../../graphQLFragments";
-import { CtaButtons, GraphQLLoader, Image, RichText } from "..";
-import { gql, useQuery } from "@apollo/client";
+import { CtaButtons, Image, PreviewContext, RichText } from "..";
+import { getAnnotations } from "../../utils";
+import { gql } from "@apollo/client";
 
 const useStyles = makeStyles((theme) => ({
   section: {
@@ -29,61 +30,55 @@ const useStyles = makeStyles((theme) => ({
   },
 }));
 
-function ContentSection(props) {
-  const query = gql`
-    query ContentSectionQuery($codename: String!, $languageCodename: String!) {
-      contentSection(
-        codename: $codename
-        languageFilter: { languageCodename: $languageCodename }
-      ) {
-        image {
-          ...AssetFields
-        }
-        title
-        content {
-          ...RichTextFields
+export const contentSectionFields = gql`
+  fragment ContentSectionFields on ContentSection {
+    _system_ {
+      id
+      codename
+      language {
+        _system_ {
+          codename
         }
-        actions {
-          items {
-            ...ActionFields
-          }
+      }
+      type {
+        _system_ {
+          codename
         }
       }
     }
+    image {
+      ...AssetFields
+    }
+    title
+    content {
+      ...RichTextFields
+    }
+    actions {
+      items {
+        ...ActionFields
+      }
+    }
+  }
 
-    ${richTextFields}
-    ${assetFields}
-    ${actionFields}
-  `;
+  ${richTextFields}
+  ${assetFields}
+  ${actionFields}
+`;
 
+function ContentSection(props) {
   const classes = useStyles();
+  const preview = useContext(PreviewContext);
 
   const theme = useTheme();
   const imageSizes = `(min-width: ${theme.breakpoints.values.sm}px) 50vw, 100vw`;
 
-  const [section, setSection] = useState(null);
-  const { loading, error } = useQuery(
-    query,
-    {
-      variables: {
-        codename: props.section._system_.codename,
-        languageCodename: props.section._system_.language._system_.codename,
-      },
-      onCompleted: (data) => {
-        setSection(data.heroSection);
-      },
-    },
-    [props.section.codename, props.section.languageCodename]
-  );
-
-  if (error || loading || !section) {
-    return <GraphQLLoader error={error} loading={loading} />;
-  }
+  const { section } = props;
 
   return (
     <section
       id={get(section, "_system_.codename", null)}
       className={classes.section}
+      {...getAnnotations(preview, section._system_)}
     >
       <Container>
         <Grid
@@ -93,7 +88,13 @@ function ContentSection(props) {
           direction="row-reverse"
         >
           {get(section, "image", null) && (
-            <Grid item xs={12} sm={6} className={classes.column}>
+            <Grid
+              item
+              xs={12}
+              sm={6}
+              className={classes.column}
+              {...getAnnotations(preview, section._system_, "image")}
+            >
               <Image
                 sizes={imageSizes}
                 asset={get(section, "image", null)}
@@ -112,12 +113,19 @@ function ContentSection(props) {
             className={classes.column}
           >
             {get(section, "title", null) && (
-              <Typography variant="h2">
+              <Typography
+                variant="h2"
+                {...getAnnotations(preview, section._system_, "title")}
+              >
                 {get(section, "title", null)}
               </Typography>
             )}
 
-            <Typography variant="subtitle1" className={classes.content}>
+            <Typography
+              variant="subtitle1"
+              className={classes.content}
+              {...getAnnotations(preview, section._system_, "content")}
+            >
               <RichText
                 {...props}
                 richTextElement={get(section, "content", null)}
@@ -125,7 +133,10 @@ function ContentSection(props) {
             </Typography>
 
             {get(section, "actions.items[0]", null) && (
-              <div className={classes.actions}>
+              <div
+                className={classes.actions}
+                {...getAnnotations(preview, section._system_, "actions")}
+              >
                 <CtaButtons
                   {...props}
                   actions={get(section, "actions.items", [])}
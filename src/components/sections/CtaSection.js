@@ -1,12 +1,13 @@
-import React, { useState } from "react";
+import React, { useContext } from "react";
 import {
   actionFields,
   richTextFields,
 } from "../../graphQLFragments";
 import get from "lodash.get";
 import { Container, Grid, makeStyles, Typography } from "@material-ui/core";
-import { Action, GraphQLLoader, RichText } from "..";
-import { gql, useQuery } from "@apollo/client";
+import { Action, PreviewContext, RichText } from "..";
+import { getAnnotations } from "../../utils";
+import { gql } from "@apollo/client";
 
 const useStyles = makeStyles((theme) => ({
   section: {
@@ -16,53 +17,46 @@ const useStyles = makeStyles((theme) => ({
   },
 }));
 
-function CtaSection(props) {
-  const query = gql`
-    query CtaSectionQuery($codename: String!, $languageCodename: String!) {
-      ctaSection(
-        codename: $codename
-        languageFilter: { languageCodename: $languageCodename }
-      ) {
-        title
-        subtitle {
-          ...RichTextFields
+export const ctaSectionFields = gql`
+  fragment CtaSectionFields on CtaSection {
+    _system_ {
+      id
+      codename
+      language {
+        _system_ {
+          codename
         }
-        action {
-          ...ActionFields
+      }
+      type {
+        _system_ {
+          codename
         }
       }
     }
+    title
+    subtitle {
+      ...RichTextFields
+    }
+    action {
+      ...ActionFields
+    }
+  }
 
-    ${richTextFields}
-    ${actionFields}
-  `;
+  ${richTextFields}
+  ${actionFields}
+`;
 
+function CtaSection(props) {
   const classes = useStyles();
+  const preview = useContext(PreviewContext);
 
-  const [section, setSection] = useState(null);
-
-  const { loading, error } = useQuery(
-    query,
-    {
-      variables: {
-        codename: props.section._system_.codename,
-        languageCodename: props.section._system_.language._system_.codename,
-      },
-      onCompleted: (data) => {
-        setSection(data.ctaSection);
-      },
-    },
-    [props.section.codename, props.section.languageCodename]
-  );
-
-  if (error || loading || !section) {
-    return <GraphQLLoader error={error} loading={loading} />;
-  }
+  const { section } = props;
 
   return (
     <section
       id={get(section, "_system_.codename", null)}
       className={classes.section}
+      {...getAnnotations(preview, section._system_)}
     >
       <Container>
         <Grid container spacing={2} alignItems="center">
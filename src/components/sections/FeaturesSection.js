@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useContext } from "react";
 import {
   actionFields,
   assetFields,
@@ -12,8 +12,9 @@ import {
   Typography,
   useTheme,
 } from "@material-ui/core";
-import { CtaButtons, GraphQLLoader, Image, RichText } from "..";
-import { gql, useQuery } from "@apollo/client";
+import { CtaButtons, Image, PreviewContext, RichText } from "..";
+import { getAnnotations } from "../../utils";
+import { gql } from "@apollo/client";
 
 const useStyles = makeStyles((theme) => ({
   section: {
@@ -35,80 +36,89 @@ const useStyles = makeStyles((theme) => ({
   },
 }));
 
-function FeaturesSection(props) {
-  const query = gql`
-    query FeaturesSectionQuery($codename: String!, $languageCodename: String!) {
-      featuresSection(
-        codename: $codename
-        languageFilter: { languageCodename: $languageCodename }
-      ) {
-        title
-        subtitle {
-          ...RichTextFields
+export const featuresSectionFields = gql`
+  fragment FeaturesSectionFields on FeaturesSection {
+    _system_ {
+      id
+      codename
+      language {
+        _system_ {
+          codename
         }
-        features(limit: 5) {
-          items {
-            ... on Feature {
-              image {
-                ...AssetFields
-              }
-              title
-              content {
-                ...RichTextFields
-              }
-              actions {
-                items {
-                  ...ActionFields
-                }
+      }
+      type {
+        _system_ {
+          codename
+        }
+      }
+    }
+    title
+    subtitle {
+      ...RichTextFields
+    }
+    features(limit: 5) {
+      items {
+        ... on Feature {
+          _system_ {
+            id
+            language {
+              _system_ {
+                codename
               }
             }
           }
+          image {
+            ...AssetFields
+          }
+          title
+          content {
+            ...RichTextFields
+          }
+          actions {
+            items {
+              ...ActionFields
+            }
+          }
         }
       }
     }
+  }
 
-    ${richTextFields}
-    ${assetFields}
-    ${actionFields}
-  `;
+  ${richTextFields}
+  ${assetFields}
+  ${actionFields}
+`;
 
+function FeaturesSection(props) {
   const classes = useStyles();
+  const preview = useContext(PreviewContext);
 
   const theme = useTheme();
   const imageSizes = `(min-width: ${theme.breakpoints.values.sm}px) 40vw, 100vw`;
 
-  const [section, setSection] = useState(null);
-
-  const { loading, error } = useQuery(
-    query,
-    {
-      variables: {
-        codename: props.section._system_.codename,
-        languageCodename: props.section._system_.language._system_.codename,
-      },
-      onCompleted: (data) => {
-        setSection(data.featuresSection);
-      },
-    },
-    [props.section.codename, props.section.languageCodename]
-  );
-
-  if (error || loading || !section) {
-    return <GraphQLLoader error={error} loading={loading} />;
-  }
+  const { section } = props;
   return (
     <section
       id={get(section, "_system_.codename", null)}
       className={classes.section}
+      {...getAnnotations(preview, section._system_)}
     >
       <Container>
         <div className={classes.intro}>
           {get(section, "title", null) && (
-            <Typography variant="h2">{get(section, "title", null)}</Typography>
+            <Typography
+              variant="h2"
+              {...getAnnotations(preview, section._system_, "title")}
+            >
+              {get(section, "title", null)}
+            </Typography>
           )}
 
           {get(section, "subtitle", null) && (
-            <Typography variant="subtitle1">
+            <Typography
+              variant="subtitle1"
+              {...getAnnotations(preview, section._system_, "subtitle")}
+            >
               <RichText
                 {...props}
                 richTextElement={get(section, "subtitle", null)}
@@ -126,6 +136,7 @@ function FeaturesSection(props) {
               key={index}
               direction={index % 2 ? "row-reverse" : "row"}
               className={classes.row}
+              {...getAnnotations(preview, feature._system_)}
             >
               {get(feature, "image", null) && (
                 <Grid
@@ -133,6 +144,7 @@ function FeaturesSection(props) {
                   xs={12}
                   sm={6}
                   className={`${classes.column}, ${classes.image}`}
+                  {...getAnnotations(preview, feature._system_, "image")}
                 >
                   <Image
                     sizes={imageSizes}
@@ -153,15 +165,20 @@ function FeaturesSection(props) {
                   index % 2 ? classes.alignRight : undefined
                 }`}
               >
-                <Typography variant="h3">
+                <Typography
+                  variant="h3"
+                  {...getAnnotations(preview, feature._system_, "title")}
+                >
                   {get(feature, "title", null)}
                 </Typography>
 
-                <RichText
-                  component="div"
-                  {...props}
-                  richTextElement={get(feature, "content", null)}
-                />
+                <div {...getAnnotations(preview, feature._system_, "content")}>
+                  <RichText
+                    component="div"
+                    {...props}
+                    richTextElement={get(feature, "content", null)}
+                  />
+                </div>
 
                 {get(feature, "actions.items[0]", null) && (
                   <CtaButtons actions={get(feature, "actions.items", [])} />
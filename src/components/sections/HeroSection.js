@@ -6,14 +6,15 @@ import {
   useTheme,
 } from "@material-ui/core";
 import get from "lodash.get";
-import React, { useState } from "react";
+import React, { useContext } from "react";
 import {
   actionFields,
   assetFields,
   richTextFields,
 } from "../../graphQLFragments";
-import { CtaButtons, GraphQLLoader, Image, RichText } from "..";
-import { gql, useQuery } from "@apollo/client";
+import { CtaButtons, Image, PreviewContext, RichText } from "..";
+import { getAnnotations } from "../../utils";
+import { gql } from "@apollo/client";
 
 const useStyles = makeStyles((theme) => ({
   section: {
@@ -35,61 +36,54 @@ const useStyles = makeStyles((theme) => ({
   },
 }));
 
-function HeroSection(props) {
-  const query = gql`
-    query HeroSectionQuery($codename: String!, $languageCodename: String!) {
-      heroSection(
-        codename: $codename
-        languageFilter: { languageCodename: $languageCodename }
-      ) {
-        image {
-          ...AssetFields
-        }
-        title
-        content {
-          ...RichTextFields
+export const heroSectionFields = gql`
+  fragment HeroSectionFields on HeroSection {
+    _system_ {
+      id
+      codename
+      language {
+        _system_ {
+          codename
         }
-        actions {
-          items {
-            ...ActionFields
-          }
+      }
+      type {
+        _system_ {
+          codename
         }
       }
     }
+    image {
+      ...AssetFields
+    }
+    title
+    content {
+      ...RichTextFields
+    }
+    actions {
+      items {
+        ...ActionFields
+      }
+    }
+  }
 
-    ${richTextFields}
-    ${assetFields}
-    ${actionFields}
-  `;
+  ${richTextFields}
+  ${assetFields}
+  ${actionFields}
+`;
 
+function HeroSection(props) {
   const classes = useStyles();
+  const preview = useContext(PreviewContext);
 
   const theme = useTheme();
   const imageSizes = `(min-width: ${theme.breakpoints.values.sm}px) 40vw, 100vw`;
-  const [section, setSection] = useState(null);
-
-  const { loading, error } = useQuery(
-    query,
-    {
-      variables: {
-        codename: props.section._system_.codename,
-        languageCodename: props.section._system_.language._system_.codename,
-      },
-      onCompleted: (data) => {
-        setSection(data.heroSection);
-      },
-    },
-    [props.section.codename, props.section.languageCodename]
-  );
-
-  if (error || loading || !section) {
-    return <GraphQLLoader error={error} loading={loading} />;
-  }
+  const { section } = props;
 
   return (
     <section
       id={get(section, "_system_.codename", null)}
       className={classes.section}
+      {...getAnnotations(preview, section._system_)}
     >
       <Container>
         <Grid
@@ -99,7 +93,13 @@ function HeroSection(props) {
           direction="row-reverse"
         >
           {get(section, "image", null) && (
-            <Grid item xs={12} sm={6} className={classes.column}>
+            <Grid
+              item
+              xs={12}
+              sm={6}
+              className={classes.column}
+              {...getAnnotations(preview, section._system_, "image")}
+            >
               <Image
                 sizes={imageSizes}
                 asset={get(section, "image", null)}
@@ -114,12 +114,19 @@ function HeroSection(props) {
 
           <Grid item xs={12} sm={4} className={classes.column}>
             {get(section, "title", null) && (
-              <Typography variant="h2">
+              <Typography
+                variant="h2"
+                {...getAnnotations(preview, section._system_, "title")}
+              >
                 {get(section, "title", null)}
               </Typography>
             )}
 
-            <Typography variant="subtitle1" className={classes.content}>
+            <Typography
+              variant="subtitle1"
+              className={classes.content}
+              {...getAnnotations(preview, section._system_, "content")}
+            >
               <RichText
                 {...props}
                 richTextElement={get(section, "content", null)}
@@ -127,7 +134,10 @@ function HeroSection(props) {
             </Typography>
 
             {get(section, "actions.items[0]", null) && (
-              <div className={classes.actions}>
+              <div
+                className={classes.actions}
+                {...getAnnotations(preview, section._system_, "actions")}
+              >
                 <CtaButtons
                   {...props}
                   actions={get(section, "actions.items", [])}
@@ -0,0 +1,24 @@
+import React from "react";
+import get from "lodash.get";
+import { SectionErrorBoundary } from "..";
+import { sectionFragments } from ".";
+import useSectionData from "./useSectionData";
+
+/**
+ * Section of the landing page, "Try again" of the failed section reloads just the section data.
+ * @param {Object} props - landing page props passed to the section component
+ * @param {Function} props.component - section component of the section content type
+ * @param {Object} props.section - section data from the landing page query
+ */
+function LandingPageSection({ component: Component, ...props }) {
+  const fragment = sectionFragments[props.section._system_.type._system_.codename];
+  const { section, refetch } = useSectionData(props.section, fragment);
+
+  return (
+    <SectionErrorBoundary codename={get(section, "_system_.codename", null)} onRetry={refetch}>
+      <Component {...props} section={section} />
+    </SectionErrorBoundary>
+  );
+}
+
+export default LandingPageSection;
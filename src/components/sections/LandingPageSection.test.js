@@ -0,0 +1,45 @@
+import React from "react";
+import "@testing-library/jest-dom";
+import { MockedProvider } from "@apollo/client/testing";
+import { fireEvent, render, screen } from "@testing-library/react";
+import { sectionFragments } from ".";
+import LandingPageSection from "./LandingPageSection";
+import { getSectionQuery } from "./useSectionData";
+
+const system = {
+  codename: "call_to_action",
+  type: { _system_: { codename: "cta_section" } },
+  language: { _system_: { codename: "default" } },
+};
+
+// fails on the section data missing the title
+function TitleSection(props) {
+  return <h2>{props.section.title.toUpperCase()}</h2>;
+}
+
+describe("LandingPageSection", () => {
+  // the failed render is logged by React and the error boundary
+  beforeEach(() => jest.spyOn(console, "error").mockImplementation(() => undefined));
+  afterEach(() => console.error.mockRestore());
+
+  it("reloads the section data on retry of the failed section", async () => {
+    const mocks = [{
+      request: {
+        query: getSectionQuery("ctaSection", sectionFragments.cta_section),
+        variables: { codename: "call_to_action", languageCodename: "default" },
+      },
+      result: { data: { ctaSection: { _system_: system, title: "Reloaded" } } },
+    }];
+
+    render(
+      <MockedProvider mocks={mocks} addTypename={false}>
+        <LandingPageSection component={TitleSection} section={{ _system_: system, title: null }} />
+      </MockedProvider>
+    );
+
+    expect(screen.getByText("This section could not be displayed.")).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "Try again" }));
+
+    expect(await screen.findByText("RELOADED")).toBeInTheDocument();
+  });
+});
@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useContext } from "react";
 import get from "lodash.get";
 import upperFirst from "lodash.upperfirst";
 import camelCase from "lodash.camelcase";
@@ -11,9 +11,14 @@ import {
   Typography,
 } from "@material-ui/core";
 import * as thumbnails from "../thumbnails";
-import { RichText, UnknownComponent, GraphQLLoader } from "..";
+import { getThumbnailQueryFields } from "../thumbnails";
+import { RichText, UnknownComponent, GraphQLLoader, PreviewContext } from "..";
+import { richTextFields } from "../../graphQLFragments";
+import { getAnnotations } from "../../utils";
+import { getCollectionName } from "../../utils/contentTypes";
+import { getOrderArgument } from "../../utils/listingSort";
 import { gql, useQuery } from "@apollo/client";
-import { assetFields } from "../../graphQLFragments";
+import { ThumbnailsSkeleton } from "../skeletons";
 
 const useStyles = makeStyles((theme) => ({
   section: {
@@ -27,63 +32,76 @@ const useStyles = makeStyles((theme) => ({
   },
 }));
 
+export const listingSectionFields = gql`
+  fragment ListingSectionFields on ListingSection {
+    _system_ {
+      id
+      codename
+      language {
+        _system_ {
+          codename
+        }
+      }
+      type {
+        _system_ {
+          codename
+        }
+      }
+    }
+    title
+    subtitle {
+      ...RichTextFields
+    }
+    orderBy
+    contentType
+    numberOfItems
+  }
+
+  ${richTextFields}
+`;
+
+// the listed items depend on the section data, so they are loaded by a separate query
 function ListingSection(props) {
-  
+  const { section } = props;
+  const contentType = section.contentType;
+  const thumbnailQueryFields = getThumbnailQueryFields(contentType);
   const listingSectionQuery = gql`
-    query ListingSectionQuery($limit: Int) {
-      post_All(limit: $limit) {
+    query ListingSectionQuery($limit: Int, $languageCodename: String!) {
+      ${getCollectionName(contentType)}(
+        limit: $limit
+        languageFilter: { languageCodename: $languageCodename }
+        ${getOrderArgument(section.orderBy, contentType)}
+      ) {
         items {
-          _system_ {
-            type {
-              _system_ {
-                codename
-              }
-            }
-          }
-          image {
-            ...AssetFields
-          }
-          slug
-          title
-          excerpt
-          publishingDate
-          author {
-            ... on Author {
-              firstName
-              lastName
-            }
-          }
+          ${thumbnailQueryFields.fields}
         }
       }
     }
 
-    ${assetFields}
+    ${thumbnailQueryFields.fragment}
   `;
 
-  const section = get(props, "section", null);
   const classes = useStyles();
+  const preview = useContext(PreviewContext);
 
-  const [relatedItemsData, setRelatedItemsData] = useState(null);
-
-  const { loading, error } = useQuery(
+  const { loading, error, data, refetch } = useQuery(
     listingSectionQuery,
     {
-      variables: { limit: props.section.numberOfItems },
-      onCompleted: (data) => {
-        setRelatedItemsData(data[`${props.section.contentType}_All`].items);
+      variables: {
+        limit: section.numberOfItems,
+        languageCodename: section._system_.language._system_.codename,
       },
     },
-    [props.section.numberOfItems, props.section.contentType]
+    [section.numberOfItems, section.contentType, section.orderBy]
   );
 
-  if (error || loading || !relatedItemsData) {
-    return <GraphQLLoader error={error} loading={loading} />;
-  }
+  const relatedItemsData = get(data, `${getCollectionName(contentType)}.items`, []);
 
   return (
     <section
       id={get(section, "_system_.codename", null)}
       className={classes.section}
+      {...getAnnotations(preview, section._system_)}
     >
       <Container>
         <div className={classes.intro}>
@@ -100,6 +118,17 @@ function ListingSection(props) {
           )}
         </div>
 
+        {/* title of the section is displayed while the items are being loaded */}
+        {!data && (
+          <GraphQLLoader
+            error={error}
+            loading={loading}
+            onRetry={refetch}
+            skeleton={<ThumbnailsSkeleton count={section.numberOfItems} />}
+            inline
+          />
+        )}
+
         {relatedItemsData.length > 0 && (
           <Grid container spacing={2} alignItems="stretch">
             {relatedItemsData.map((item, item_idx) => {
@@ -108,7 +137,11 @@ function ListingSection(props) {
               );
               const ThumbnailLayout = thumbnails[contentType];
 
-              if (process.env.NODE_ENV === "development" && !ThumbnailLayout) {
+              if (!ThumbnailLayout) {
+                if (process.env.NODE_ENV !== "development") {
+                  return null;
+                }
+
                 console.error(
                   `Unknown section component for section content type: ${contentType}`
                 );
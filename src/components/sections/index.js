@@ -1,9 +1,10 @@
-import HeroSection from "./HeroSection";
-import FeaturesSection from "./FeaturesSection";
-import CtaSection from "./CtaSection";
-import ListingSection from "./ListingSection";
-import ContentSection from "./ContentSection";
-import ContactSection from "./ContactSection";
+import { gql } from "@apollo/client";
+import HeroSection, { heroSectionFields } from "./HeroSection";
+import FeaturesSection, { featuresSectionFields } from "./FeaturesSection";
+import CtaSection, { ctaSectionFields } from "./CtaSection";
+import ListingSection, { listingSectionFields } from "./ListingSection";
+import ContentSection, { contentSectionFields } from "./ContentSection";
+import ContactSection, { contactSectionFields } from "./ContactSection";
 
 export {
   HeroSection,
@@ -12,4 +13,29 @@ export {
   ListingSection,
   ContentSection,
   ContactSection,
-};
\ No newline at end of file
+};
+
+// Section content types by their codename - component is exported under the type name (i.e. `HeroSection`)
+// and the fragment defines all the fields it needs, so the whole landing page is loaded by one query.
+export const sectionFragments = {
+  hero_section: heroSectionFields,
+  features_section: featuresSectionFields,
+  cta_section: ctaSectionFields,
+  listing_section: listingSectionFields,
+  content_section: contentSectionFields,
+  contact_section: contactSectionFields,
+};
+
+/**
+ * Composes the selection of the `sections` linked items from the registered section fragments.
+ * @returns {{fields: string, fragments: Object}} fields to select and the fragments definitions to append to the query
+ */
+export function getSectionsQueryFields() {
+  const fragments = Object.keys(sectionFragments).map(codename => sectionFragments[codename]);
+
+  return {
+    fields: fragments.map(fragment => `...${fragment.definitions[0].name.value}`).join("\n"),
+    // shared fragments (i.e. `RichTextFields`) are deduplicated by `gql`
+    fragments: gql(fragments.map(fragment => fragment.loc.source.body).join("\n")),
+  };
+}
@@ -0,0 +1,53 @@
+import { useState } from "react";
+import camelCase from "lodash.camelcase";
+import upperFirst from "lodash.upperfirst";
+import { gql, useApolloClient } from "@apollo/client";
+
+// query of a single section by its fragment i.e. `heroSection(codename: ...) { ...HeroSectionFields }`
+export const getSectionQuery = (fieldName, fragment) => gql`
+  query ${upperFirst(fieldName)}Query($codename: String!, $languageCodename: String!) {
+    ${fieldName}(
+      codename: $codename
+      languageFilter: { languageCodename: $languageCodename }
+    ) {
+      ...${fragment.definitions[0].name.value}
+    }
+  }
+
+  ${fragment}
+`;
+
+/**
+ * Section data loaded by the landing page query (see `sectionsQueryFields`) with the ability to reload just this section.
+ * Refetched data are used until the landing page passes another section data (i.e. when it is refreshed in the preview mode).
+ * @param {Object} section - section data from the landing page query
+ * @param {Object} fragment - fragment of the section fields
+ * @returns {{section: Object, refetch: Function}} `refetch` returns a promise of the reloaded section
+ */
+export default function useSectionData(section, fragment) {
+  const client = useApolloClient();
+  const [refetched, setRefetched] = useState(null);
+
+  const refetch = () => {
+    const fieldName = camelCase(section._system_.type._system_.codename);
+
+    return client
+      .query({
+        query: getSectionQuery(fieldName, fragment),
+        variables: {
+          codename: section._system_.codename,
+          languageCodename: section._system_.language._system_.codename,
+        },
+        fetchPolicy: "no-cache",
+      })
+      .then(({ data }) => {
+        setRefetched({ source: section, data: data[fieldName] });
+        return data[fieldName];
+      });
+  };
+
+  return {
+    section: refetched && refetched.source === section && refetched.data ? refetched.data : section,
+    refetch,
+  };
+}
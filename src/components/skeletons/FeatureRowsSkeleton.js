@@ -0,0 +1,56 @@
+import React from "react";
+import { Container, Grid, makeStyles, Typography } from "@material-ui/core";
+import { Skeleton } from "@material-ui/lab";
+import RichTextSkeleton from "./RichTextSkeleton";
+
+const useStyles = makeStyles((theme) => ({
+  section: {
+    padding: theme.spacing(8),
+  },
+  intro: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+  },
+  row: {
+    marginTop: theme.spacing(1),
+    marginBottom: theme.spacing(1),
+  },
+}));
+
+// matches the layout of the `FeaturesSection`, images alternate the sides
+function FeatureRowsSkeleton(props) {
+  const classes = useStyles();
+  const rows = props.rows || 2;
+
+  return (
+    <section className={classes.section}>
+      <Container>
+        <div className={classes.intro}>
+          <Typography variant="h2"><Skeleton width={320} /></Typography>
+          <Typography variant="subtitle1"><Skeleton width={480} /></Typography>
+        </div>
+        {Array.from({ length: rows }, (_, index) => (
+          <Grid
+            container
+            spacing={2}
+            alignItems="center"
+            key={index}
+            direction={index % 2 ? "row-reverse" : "row"}
+            className={classes.row}
+          >
+            <Grid item xs={12} sm={6}>
+              <Skeleton variant="rect" height={240} />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <Typography variant="h4"><Skeleton width="60%" /></Typography>
+              <RichTextSkeleton lines={3} />
+            </Grid>
+          </Grid>
+        ))}
+      </Container>
+    </section>
+  );
+}
+
+export default FeatureRowsSkeleton;
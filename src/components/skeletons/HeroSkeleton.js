@@ -0,0 +1,42 @@
+import React from "react";
+import { Container, Grid, makeStyles, Typography } from "@material-ui/core";
+import { Skeleton } from "@material-ui/lab";
+import RichTextSkeleton from "./RichTextSkeleton";
+
+const useStyles = makeStyles((theme) => ({
+  section: {
+    padding: theme.spacing(2),
+  },
+  column: {
+    margin: "auto",
+  },
+  actions: {
+    paddingTop: theme.spacing(2),
+  },
+}));
+
+// matches the layout of the `HeroSection`
+function HeroSkeleton() {
+  const classes = useStyles();
+
+  return (
+    <section className={classes.section}>
+      <Container>
+        <Grid container spacing={2} alignItems="stretch" direction="row-reverse">
+          <Grid item xs={12} sm={6} className={classes.column}>
+            <Skeleton variant="rect" height={320} />
+          </Grid>
+          <Grid item xs={12} sm={4} className={classes.column}>
+            <Typography variant="h2"><Skeleton /></Typography>
+            <RichTextSkeleton variant="subtitle1" lines={3} />
+            <div className={classes.actions}>
+              <Skeleton variant="rect" width={140} height={36} />
+            </div>
+          </Grid>
+        </Grid>
+      </Container>
+    </section>
+  );
+}
+
+export default HeroSkeleton;
@@ -0,0 +1,25 @@
+import React from "react";
+import { makeStyles, Typography } from "@material-ui/core";
+import { Skeleton } from "@material-ui/lab";
+
+const useStyles = makeStyles((theme) => ({
+  image: {
+    marginTop: theme.spacing(2),
+    marginBottom: theme.spacing(2),
+  },
+}));
+
+// title, subtitle and the image of the post and simple page
+function PostHeaderSkeleton() {
+  const classes = useStyles();
+
+  return (
+    <header>
+      <Typography variant="h1"><Skeleton width="80%" /></Typography>
+      <Typography variant="subtitle1"><Skeleton width="50%" /></Typography>
+      <Skeleton variant="rect" height={360} className={classes.image} />
+    </header>
+  );
+}
+
+export default PostHeaderSkeleton;
@@ -0,0 +1,20 @@
+import React from "react";
+import { Typography } from "@material-ui/core";
+import { Skeleton } from "@material-ui/lab";
+
+// paragraphs end by a shorter line
+const getLineWidth = (index, lines) => (index === lines - 1 || index % 4 === 3 ? "60%" : "100%");
+
+function RichTextSkeleton(props) {
+  const lines = props.lines || 6;
+
+  return (
+    <Typography component="div" variant={props.variant}>
+      {Array.from({ length: lines }, (_, index) => (
+        <Skeleton key={index} width={getLineWidth(index, lines)} />
+      ))}
+    </Typography>
+  );
+}
+
+export default RichTextSkeleton;
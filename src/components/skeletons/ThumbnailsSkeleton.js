@@ -0,0 +1,33 @@
+import React from "react";
+import { Grid, makeStyles, Paper, Typography } from "@material-ui/core";
+import { Skeleton } from "@material-ui/lab";
+
+const useStyles = makeStyles((theme) => ({
+  thumbnail: {
+    height: "100%",
+    padding: theme.spacing(2),
+  },
+}));
+
+// grid of the listed items thumbnails (listing page and section)
+function ThumbnailsSkeleton(props) {
+  const classes = useStyles();
+  const count = props.count || 3;
+
+  return (
+    <Grid container spacing={props.spacing || 2} alignItems="stretch">
+      {Array.from({ length: count }, (_, index) => (
+        <Grid item md={4} sm={12} key={index}>
+          <Paper className={classes.thumbnail}>
+            <Skeleton variant="rect" height={180} />
+            <Typography variant="h5"><Skeleton /></Typography>
+            <Skeleton />
+            <Skeleton width="60%" />
+          </Paper>
+        </Grid>
+      ))}
+    </Grid>
+  );
+}
+
+export default ThumbnailsSkeleton;
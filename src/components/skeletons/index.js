@@ -0,0 +1,14 @@
+import RichTextSkeleton from "./RichTextSkeleton";
+import PostHeaderSkeleton from "./PostHeaderSkeleton";
+import HeroSkeleton from "./HeroSkeleton";
+import FeatureRowsSkeleton from "./FeatureRowsSkeleton";
+import ThumbnailsSkeleton from "./ThumbnailsSkeleton";
+
+// Placeholders of the components rendered while their data are being loaded (see `GraphQLLoader`)
+export {
+  RichTextSkeleton,
+  PostHeaderSkeleton,
+  HeroSkeleton,
+  FeatureRowsSkeleton,
+  ThumbnailsSkeleton,
+};
@@ -1,12 +1,51 @@
-import React from "react";
+import React, { useContext } from "react";
 import get from "lodash.get";
-import { Image, Link } from "..";
+import { Image, LanguageContext, Link, useUrlResolver } from "..";
 import { useTheme } from "@material-ui/core";
+import { gql } from "@apollo/client";
+import { assetFields } from "../../graphQLFragments";
+
+export const postThumbnailFields = gql`
+  fragment PostThumbnailFields on Post {
+    _system_ {
+      id
+      type {
+        _system_ {
+          codename
+        }
+      }
+      codename
+      language {
+        _system_ {
+          codename
+        }
+      }
+    }
+    image {
+      ...AssetFields
+    }
+    title
+    slug
+    excerpt
+    publishingDate
+    author {
+      ... on Author {
+        firstName
+        lastName
+      }
+    }
+  }
+
+  ${assetFields}
+`;
 
 function Post(props) {
   let post = get(props, "item", null);
   let columnCount = get(props, "columnCount", 1);
-  let postUrl = "/blog/" + get(post, "slug", "#");
+  const language = useContext(LanguageContext);
+  // canonical URL under the listing page the post is routed by, the post is not linked if it is not routed
+  const postUrl = useUrlResolver(props.mappings).getUrl(post, language);
+  const linked = typeof postUrl === "string";
 
   const theme = useTheme();
   const imageSizes = `(min-width: ${theme.breakpoints.values.md}px) ${Math.floor(100 / columnCount)}vw, 100vw`;
@@ -15,20 +54,20 @@ function Post(props) {
   const excerpt = get(post, "excerpt", null);
   const publishingDate = get(post, "publishingDate", null);
   const author = get(post, "author", null);
+  const imageElement = image && (
+    <Image
+      sizes={imageSizes}
+      asset={image}
+      alt={image.description || image.name || null} />
+  );
+
   return (
     <article>
       <div>
-        {image && (
-          <Link href={postUrl}>
-            <Image
-              sizes={imageSizes}
-              asset={image}
-              alt={image.description || image.name || null} />
-          </Link>
-        )}
+        {imageElement && (linked ? <Link href={postUrl}>{imageElement}</Link> : imageElement)}
         <div>
           <header>
-            <h3><Link href={postUrl}>{title}</Link></h3>
+            <h3>{linked ? <Link href={postUrl}>{title}</Link> : title}</h3>
           </header>
           <div>
             <p>{excerpt}</p>
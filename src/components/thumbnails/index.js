@@ -1,5 +1,35 @@
-import Post from "./Post";
+import Post, { postThumbnailFields } from "./Post";
 
 export {
   Post,
-};
\ No newline at end of file
+};
+
+// Listable content types by their codename - thumbnail component is exported under the type name (i.e. `Post`)
+// and the fragment defines the fields it needs. Listing pages and sections work for every registered type.
+export const thumbnailFragments = {
+  post: postThumbnailFields,
+};
+
+export const listingContentTypes = Object.keys(thumbnailFragments);
+
+/**
+ * Selection of the listed items fields for the listing queries.
+ * Items of unregistered types fetch just the system fields to be rendered as `UnknownComponent` in development (skipped in production).
+ * @param {string} contentType - codename of the listed content type
+ * @returns {{fields: string, fragment: Object|string}} fields to select and the fragment definition to append to the query
+ */
+export function getThumbnailQueryFields(contentType) {
+  const fragment = thumbnailFragments[contentType];
+
+  if (!fragment) {
+    return {
+      fields: "_system_ { codename type { _system_ { codename } } }",
+      fragment: "",
+    };
+  }
+
+  return {
+    fields: `...${fragment.definitions[0].name.value}`,
+    fragment,
+  };
+}
@@ -0,0 +1,16 @@
+import { useContext } from "react";
+import { SiteContext } from ".";
+import { getUrlResolver } from "../utils/urlResolver";
+
+const noMappings = {};
+
+/**
+ * URL resolver (see `getUrlResolver`) of the mappings passed to the component,
+ * the mappings of the currently rendered route (`SiteContext`) are used by default.
+ * @param {Object} [mappings]
+ */
+export default function useUrlResolver(mappings) {
+  const site = useContext(SiteContext);
+
+  return getUrlResolver(mappings || site?.mappings || noMappings);
+}
@@ -0,0 +1,169 @@
+import { ApolloClient, from, HttpLink, InMemoryCache } from '@apollo/client';
+import { RetryLink } from '@apollo/client/link/retry';
+import { name, version } from "../package.json";
+import { getPreviewApiKey, previewRefreshInterval } from "./utils/preview";
+import projectId from "./utils/projectId";
+import createLocalResolvers from "./localResolvers";
+import possibleTypes from "./possibleTypes.json";
+
+const GQL_ENDPOINT = process.env.REACT_APP_KONTENT_GRAPHQL_ENDPOINT;
+
+const sourceHeader = {
+    'X-KC-SOURCE': `${name};${version}`
+};
+
+export const getGraphQLEndpoint = (preview = false) =>
+    `${GQL_ENDPOINT || (preview ? "https://preview-graphql.kontent.ai" : "https://graphql.kontent.ai")}/${projectId}`;
+
+function createHttpLink(preview, fetch) {
+    if (preview) {
+        return new HttpLink({
+            uri: getGraphQLEndpoint(true),
+            fetch,
+            headers: Object.assign({
+                'Authorization': `Bearer ${getPreviewApiKey()}`
+            }, sourceHeader)
+        });
+    }
+
+    return new HttpLink({
+        uri: getGraphQLEndpoint(),
+        fetch,
+        headers: sourceHeader
+    });
+}
+
+// network errors and server failures are retried with an exponential delay (randomized up to 300ms, 600ms, 1.2s),
+// GraphQL errors and client errors (4xx) would fail again
+const retryLink = new RetryLink({
+    delay: {
+        initial: 300,
+        max: 5000,
+        jitter: true,
+    },
+    attempts: {
+        max: 4,
+        retryIf: (error) => !!error && !(error.statusCode >= 400 && error.statusCode < 500),
+    },
+});
+
+// language variants of one item share the id, so items are normalized only when both are selected
+const getItemCacheId = (item) => {
+    const id = item._system_?.id;
+    const language = item._system_?.language?._system_?.codename;
+
+    return id && language ? `${item.__typename}:${id}:${language}` : undefined;
+};
+
+const isMissing = (item) => item === undefined || item === null;
+
+/**
+ * Stores all the pages of a `*_All` collection (i.e. listing pages loaded by `limit` and `offset`) in one list,
+ * so pages loaded before are read from the cache. `loadedAll` marks the list as complete once its end was loaded.
+ */
+const collectionFieldPolicy = {
+    keyArgs: ['languageFilter', 'where', 'order'],
+    merge(existing, incoming, { args, mergeObjects }) {
+        const offset = args?.offset || 0;
+        const items = existing ? existing.items.slice(0) : [];
+
+        incoming.items.forEach((item, index) => {
+            const current = items[offset + index];
+            items[offset + index] = isMissing(current) ? item : mergeObjects(current, item);
+        });
+
+        const loadedAll = isMissing(args?.limit) || incoming.items.length < args.limit;
+
+        return {
+            ...existing,
+            ...incoming,
+            items: loadedAll ? items.slice(0, offset + incoming.items.length) : items,
+            loadedAll: loadedAll || !!existing?.loadedAll,
+        };
+    },
+    read(existing, { args }) {
+        if (!existing) {
+            return undefined;
+        }
+
+        const offset = args?.offset || 0;
+        const end = isMissing(args?.limit) ? existing.items.length : offset + args.limit;
+
+        if ((isMissing(args?.limit) || end > existing.items.length) && !existing.loadedAll) {
+            return undefined;
+        }
+
+        const items = existing.items.slice(offset, end);
+
+        // pages which were not loaded yet are fetched
+        for (let index = 0; index < items.length; index++) {
+            if (isMissing(items[index])) {
+                return undefined;
+            }
+        }
+
+        return { ...existing, items };
+    },
+};
+
+// every content type has its `<typeName>_All` collection query field
+const typePolicies = possibleTypes._Item.reduce((policies, typename) => {
+    policies[typename] = { keyFields: getItemCacheId };
+    policies.Query.fields[`${typename.charAt(0).toLowerCase()}${typename.slice(1)}_All`] = collectionFieldPolicy;
+
+    return policies;
+}, {
+    Query: { fields: {} },
+    // system fields and rich text elements of one item are selected differently by the queries,
+    // system fields are not normalized by their `id` shared by the language variants
+    _Sys: { keyFields: false, merge: true },
+    _RichText: { merge: true },
+});
+
+// drafts are always loaded from the API and active queries are refreshed periodically
+const previewDefaultOptions = {
+    watchQuery: {
+        fetchPolicy: 'no-cache',
+        pollInterval: previewRefreshInterval,
+    },
+    query: {
+        fetchPolicy: 'no-cache',
+    },
+};
+
+// cached data are rendered immediately and revalidated by the API (stale-while-revalidate),
+// the following renders of the same query use the cache
+const browserDefaultOptions = {
+    watchQuery: {
+        fetchPolicy: 'cache-and-network',
+        nextFetchPolicy: 'cache-first',
+    },
+};
+
+/**
+ * Shared by the browser entry point and the server renderer.
+ * @param {Object} [options]
+ * @param {boolean} [options.ssrMode] - set on the server to fetch every query just once
+ * @param {Function} [options.fetch] - fetch implementation for environments without a global one
+ * @param {Object} [options.initialState] - serialized cache from the server render
+ * @param {boolean} [options.preview] - load unpublished content from the preview endpoint
+ */
+export default function createApolloClient({ ssrMode = false, fetch, initialState, preview = false } = {}) {
+    const cache = new InMemoryCache({
+        // generated by `npm run possible-types` to match the fragments on `_Item` exactly
+        possibleTypes,
+        typePolicies,
+    });
+
+    if (initialState) {
+        cache.restore(initialState);
+    }
+
+    return new ApolloClient({
+        ssrMode,
+        cache,
+        link: from([retryLink, createHttpLink(preview, fetch)]),
+        resolvers: createLocalResolvers({ preview }),
+        defaultOptions: preview ? previewDefaultOptions : ssrMode ? undefined : browserDefaultOptions
+    });
+}
@@ -17,17 +17,43 @@ export const assetFields = gql`
   }
 `;
 
+export const seoFields = gql`
+  fragment SeoFields on Seo {
+    canonicalUrl
+    description
+    keywords
+    options {
+      items {
+        _system_ {
+          codename
+        }
+      }
+    }
+    title
+  }
+`;
+
 export const subpageNavigationItemFields = gql`
   fragment SubpageNavigationItemFields on NavigationItem {
     _system_ {
+      id
       codename
+      name
+      lastModified
     }
+    _seo {
+      ...SeoFields
+    }
+    label
     slug
+    previousSlugs
     content {
       # https://github.com/apollographql/apollo-client/issues/7648#issuecomment-968969367
       ... on SimplePage {
         _system_ {
+          id
           codename
+          lastModified
           type {
             _system_ {
               codename
@@ -36,37 +62,10 @@ export const subpageNavigationItemFields = gql`
         }
       }
       ... on LandingPage {
-        _system_ {
-          codename
-          type {
-            _system_ {
-              codename
-            }
-          }
-        }
-      }
-      ... on ListingPage {
-        _system_ {
-          codename
-          type {
-            _system_ {
-              codename
-            }
-          }
-        }
-        contentType
-      }
-    }
-  }
-`;
-
-export const richTextFields = gql`
-  fragment RichTextFields on _RichText {
-    itemHyperlinks {
-      items {
         _system_ {
           id
           codename
+          lastModified
           type {
             _system_ {
               codename
@@ -74,53 +73,23 @@ export const richTextFields = gql`
           }
         }
       }
-    }
-    html
-    assets {
-      items {
-        ...RichTextAssetFields
-      }
-    }
-    components {
-      items {
+      ... on ListingPage {
         _system_ {
           id
           codename
+          lastModified
           type {
             _system_ {
               codename
             }
           }
         }
-        ... on Quote {
-          quoteText
-        }
-        ... on CodeBlock {
-          code {
-            html
-          }
-        }
+        contentType
       }
     }
   }
 
-  ${richTextAssetFields}
-`;
-
-export const seoFields = gql`
-  fragment SeoFields on Seo {
-    canonicalUrl
-    description
-    keywords
-    options {
-      items {
-        _system_ {
-          codename
-        }
-      }
-    }
-    title
-  }
+  ${seoFields}
 `;
 
 export const actionFields = gql`
@@ -143,6 +112,8 @@ export const actionFields = gql`
       }
       ... on NavigationItem {
         _system_ {
+          id
+          codename
           type {
             _system_ {
               codename
@@ -228,3 +199,96 @@ export const actionFields = gql`
 
   ${seoFields}
 `;
+
+// system fields and the fields needed by the resolvers of the items in rich text (see `components/richTextItems`),
+// sections select just the system fields - they are loaded by their own query
+const richTextItemsSelection = `
+  items {
+    _system_ {
+      id
+      codename
+      language {
+        _system_ {
+          codename
+        }
+      }
+      type {
+        _system_ {
+          codename
+        }
+      }
+    }
+    ... on Quote {
+      quoteText
+    }
+    ... on CodeBlock {
+      code {
+        html
+      }
+      codeLanguage {
+        items {
+          _system_ {
+            codename
+          }
+        }
+      }
+      highlightedLines
+    }
+    ... on Tweet {
+      tweetLink
+      theme {
+        items {
+          _system_ {
+            codename
+          }
+        }
+      }
+    }
+    ... on HostedVideo {
+      videoId
+      videoHost {
+        items {
+          _system_ {
+            codename
+          }
+        }
+      }
+    }
+    ... on Action {
+      ...ActionFields
+    }
+  }
+`;
+
+export const richTextFields = gql`
+  fragment RichTextFields on _RichText {
+    itemHyperlinks {
+      items {
+        _system_ {
+          id
+          codename
+          type {
+            _system_ {
+              codename
+            }
+          }
+        }
+      }
+    }
+    html
+    assets {
+      items {
+        ...RichTextAssetFields
+      }
+    }
+    linkedItems {
+      ${richTextItemsSelection}
+    }
+    components {
+      ${richTextItemsSelection}
+    }
+  }
+
+  ${richTextAssetFields}
+  ${actionFields}
+`;
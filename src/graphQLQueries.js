@@ -0,0 +1,309 @@
+import { gql } from "@apollo/client";
+import {
+  actionFields,
+  assetFields,
+  seoFields,
+  subpageNavigationItemFields,
+} from "./graphQLFragments";
+import { defaultLanguage, languages } from "./utils/languages";
+import { getCollectionName } from "./utils/contentTypes";
+import { listingContentTypes } from "./components/thumbnails";
+import { navigationDepth, navigationQueryDepth } from "./utils/navigation";
+
+/**
+ * Nested selection of the `subpages` levels below the navigation item at the `depth` (0 for the homepage).
+ * Up to `navigationQueryDepth` levels are selected, the next one selects just the codenames if the navigation is deeper.
+ */
+function getSubpagesSelection(depth, levels = Math.min(navigationQueryDepth, navigationDepth - depth)) {
+  if (levels <= 0) {
+    return depth < navigationDepth ? `
+      subpages {
+        items {
+          ... on NavigationItem {
+            _system_ {
+              codename
+            }
+          }
+        }
+      }` : "";
+  }
+
+  return `
+    subpages {
+      items {
+        ... on NavigationItem {
+          ...SubpageNavigationItemFields
+          ${getSubpagesSelection(depth + 1, levels - 1)}
+        }
+      }
+    }`;
+}
+
+// levels of the nested menus - a `Menu` linked in the `actions` of another menu is its submenu
+const menuDepth = 3;
+
+/**
+ * Nested selection of the menu items (actions and submenus) up to `menuDepth` levels.
+ */
+function getMenuItemsSelection(levels = menuDepth) {
+  return `
+    actions {
+      items {
+        ... on Action {
+          ...ActionFields
+        }${levels > 1 ? `
+        ... on Menu {
+          _system_ {
+            codename
+          }
+          label
+          ${getMenuItemsSelection(levels - 1)}
+        }` : ""}
+      }
+    }`;
+}
+
+const homepageFields = gql`
+  fragment HomepageFields on Homepage {
+    _system_ {
+      id
+      name
+      lastModified
+    }
+    content {
+      ... on LandingPage {
+        _system_ {
+          id
+          codename
+          lastModified
+          type {
+            _system_ {
+              codename
+            }
+          }
+        }
+      }
+    }
+    _seo {
+      ...SeoFields
+    }
+    headerLogo {
+      ...AssetFields
+    }
+    title
+    favicon {
+      url
+    }
+    font {
+      items {
+        _system_ {
+          codename
+        }
+      }
+    }
+    palette {
+      items {
+        _system_ {
+          codename
+        }
+      }
+    }
+    mainMenu {
+      ... on Menu {
+        _system_ {
+          codename
+        }
+        ${getMenuItemsSelection()}
+      }
+    }
+    footerMenu {
+      ... on Menu {
+        _system_ {
+          codename
+        }
+        ${getMenuItemsSelection()}
+      }
+    }
+    ${getSubpagesSelection(0)}
+  }
+
+  ${seoFields}
+  ${assetFields}
+  ${actionFields}
+  ${subpageNavigationItemFields}
+`;
+
+const redirectFields = gql`
+  fragment RedirectFields on Redirect {
+    fromPath
+    toUrl
+    toItem {
+      items {
+        _system_ {
+          codename
+        }
+      }
+    }
+    redirectType {
+      items {
+        _system_ {
+          codename
+        }
+      }
+    }
+  }
+`;
+
+// every language is fetched under its own alias (i.e. `homepage_default`) to get all localized slugs in one request,
+// redirect rules are not localized - `from_path` includes the language prefix
+export const homePageQuery = gql`
+  query HomePageQuery($codename: String!) {
+    redirect_All(languageFilter: { languageCodename: "${defaultLanguage}" }) {
+      items {
+        ...RedirectFields
+      }
+    }
+    ${languages.map(({ codename }) => `
+    ${listingContentTypes.map(contentType => `
+    ${getCollectionName(contentType)}_${codename}: ${getCollectionName(contentType)}(languageFilter: { languageCodename: "${codename}" }) {
+      # listed items are sub routes of their listing pages, every listable type is expected to have a slug and SEO snippet
+      items {
+        slug
+        previousSlugs
+        _seo {
+          ...SeoFields
+        }
+        _system_ {
+          id
+          codename
+          name
+          lastModified
+          language {
+            _system_ {
+              codename
+            }
+          }
+          type {
+            _system_ {
+              codename
+            }
+          }
+        }
+      }
+    }`).join("")}
+    homepage_${codename}: homepage(codename: $codename, languageFilter: { languageCodename: "${codename}" }) {
+      ...HomepageFields
+    }`).join("")}
+  }
+
+  ${homepageFields}
+  ${redirectFields}
+`;
+
+/**
+ * Deeper levels of the navigation items which were not fetched by the HomePageQuery (or the previous query)
+ * under the `item_<index>` aliases.
+ * @param {Object[]} unresolvedItems - result of `getUnresolvedNavigationItems`
+ */
+export const getNavigationSubpagesQuery = (unresolvedItems) => gql`
+  query NavigationSubpagesQuery {
+    ${unresolvedItems.map((item, index) => `
+    item_${index}: navigationItem(codename: "${item.codename}", languageFilter: { languageCodename: "${item.language}" }) {
+      ${getSubpagesSelection(item.depth)}
+    }`).join("")}
+  }
+
+  ${subpageNavigationItemFields}
+`;
+
+const searchSectionFields = `
+  title
+  content {
+    html
+  }
+`;
+
+// texts of the searchable pages of one language, see `utils/search.js`
+export const searchIndexQuery = gql`
+  query SearchIndexQuery($languageCodename: String!) {
+    post_All(languageFilter: { languageCodename: $languageCodename }) {
+      items {
+        _system_ {
+          id
+          codename
+          language {
+            _system_ {
+              codename
+            }
+          }
+        }
+        title
+        excerpt
+        subtitle
+        content {
+          html
+        }
+      }
+    }
+    simplePage_All(languageFilter: { languageCodename: $languageCodename }) {
+      items {
+        _system_ {
+          id
+          codename
+          language {
+            _system_ {
+              codename
+            }
+          }
+        }
+        title
+        subtitle
+        content {
+          html
+        }
+      }
+    }
+    landingPage_All(languageFilter: { languageCodename: $languageCodename }) {
+      items {
+        _system_ {
+          id
+          codename
+          language {
+            _system_ {
+              codename
+            }
+          }
+        }
+        sections {
+          items {
+            ... on HeroSection {
+              ${searchSectionFields}
+            }
+            ... on ContentSection {
+              ${searchSectionFields}
+            }
+            ... on FeaturesSection {
+              title
+              subtitle {
+                html
+              }
+              features {
+                items {
+                  ... on Feature {
+                    ${searchSectionFields}
+                  }
+                }
+              }
+            }
+            ... on CtaSection {
+              title
+              subtitle {
+                html
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
@@ -1,47 +1,80 @@
 import React from 'react';
 import ReactDOM from 'react-dom';
 import ReactGA from 'react-ga';
+import { Router } from "react-router-dom";
+import { createBrowserHistory } from 'history';
 import App from './App';
 import { HelmetProvider } from 'react-helmet-async';
-import { ApolloClient, ApolloProvider, InMemoryCache } from '@apollo/client';
-import { name, version } from "../package.json";
+import { ApolloProvider } from '@apollo/client';
+import createApolloClient from './createApolloClient';
+import { PreviewContext } from './components';
+import { isPreviewBuild } from './utils/preview';
+import { persistCache } from './utils/cachePersistence';
+import { registerServiceWorker } from './utils/serviceWorker';
 
-const PREVIEW_API_KEY = process.env.REACT_APP_KONTENT_PREVIEW_API_KEY;
-const GQL_ENDPOINT = process.env.REACT_APP_KONTENT_GRAPHQL_ENDPOINT ||
-    (PREVIEW_API_KEY ? "https://preview-graphql.kontent.ai" : "https://graphql.kontent.ai");
-const PROJECT_ID = process.env.REACT_APP_KONTENT_PROJECT_ID || "ad25961e-f934-01dc-e1fa-f4dd41b84df2";
 const GA_TOKEN = process.env.REACT_APP_GA_ANALYTICS_TOKEN;
 
-const authorizationHeader = PREVIEW_API_KEY ? {
-    'Authorization': `Bearer ${PREVIEW_API_KEY}`
-} : {};
-
-const client = new ApolloClient({
-    cache: new InMemoryCache({
-        // https://github.com/apollographql/apollo-client/issues/7648#issuecomment-968969367
-        // possibleTypes: {
-        //     _Item: [
-        //         "LandingPage",
-        //         "ListingPage",
-        //         "SimplePage"
-        //     ]
-        // }
-    }),
-    uri: `${GQL_ENDPOINT}/${PROJECT_ID}`,
-    headers: Object.assign({
-        'X-KC-SOURCE': `${name};${version}`
-    }, authorizationHeader)
+const preview = isPreviewBuild();
+
+// state serialized by the server renderer (see ~/src/server.js) contains published content only
+const client = createApolloClient({
+    initialState: preview ? undefined : window.__APOLLO_STATE__,
+    preview,
 });
+delete window.__APOLLO_STATE__;
+
+// static hostings serve the exported page for any query string (i.e. the listing page for `?page=2`)
+const trimSlash = (url) => url.replace(/\/+(\?|$)/, '$1');
+const renderedUrl = window.__RENDERED_URL__;
+const isRenderedForLocation = typeof renderedUrl !== 'string' ||
+    trimSlash(renderedUrl) === trimSlash(`${window.location.pathname}${window.location.search}`);
+delete window.__RENDERED_URL__;
+
+if (preview) {
+    // editors switching back from the Kontent editor see their changes immediately
+    window.addEventListener('focus', () => client.reFetchObservableQueries());
+}
+
+const history = createBrowserHistory();
+
+if (GA_TOKEN) {
+    ReactGA.initialize(GA_TOKEN);
+    history.listen(location => {
+        ReactGA.set({ page: location.pathname });
+        ReactGA.pageview(location.pathname);
+    });
+}
 
-GA_TOKEN && ReactGA.initialize(GA_TOKEN);
+const rootElement = document.getElementById('root');
 
-ReactDOM.render(
+if (preview || !isRenderedForLocation) {
+    // server rendered markup of the published content (or of another URL) can't be hydrated
+    rootElement.innerHTML = '';
+}
+
+const render = rootElement.hasChildNodes() ? ReactDOM.hydrate : ReactDOM.render;
+
+// drafts of the preview mode are not persisted
+const cacheReady = preview ? Promise.resolve() : persistCache(client.cache);
+
+cacheReady.then(() => render(
     <React.StrictMode>
         <HelmetProvider>
             <ApolloProvider client={client}>
-                <App initializeAnalytics={!!GA_TOKEN}/>
+                <PreviewContext.Provider value={preview}>
+                    <Router history={history}>
+                        <App />
+                    </Router>
+                </PreviewContext.Provider>
             </ApolloProvider>
         </HelmetProvider>
     </React.StrictMode>,
-    document.getElementById('root')
-);
+    rootElement,
+    () => {
+        // styles are recreated on the client, server side ones are not needed anymore
+        const jssStyles = document.getElementById('jss-server-side');
+        jssStyles && jssStyles.parentElement.removeChild(jssStyles);
+    }
+));
+
+registerServiceWorker();
@@ -0,0 +1,43 @@
+import { createDeliveryClient } from '@kentico/kontent-delivery';
+import projectId from './utils/projectId';
+import { getPreviewApiKey } from './utils/preview';
+
+// nested terms are flattened to one level and labeled by their path
+const flattenTerms = (terms, parentName) => terms.flatMap(term => {
+    const name = parentName ? `${parentName} / ${term.name}` : term.name;
+
+    return [
+        { __typename: 'TaxonomyTerm', codename: term.codename, name },
+        ...flattenTerms(term.terms, name),
+    ];
+});
+
+/**
+ * Resolvers of the data not available in the GraphQL API loaded from the Delivery API instead.
+ * They are queried by the `@client` directive i.e. `taxonomy(codename: "persona") @client { terms { codename name } }`.
+ * @param {Object} [options]
+ * @param {boolean} [options.preview] - load unpublished data using the preview API key
+ */
+export default function createLocalResolvers({ preview = false } = {}) {
+    const deliveryClient = createDeliveryClient({
+        projectId,
+        previewApiKey: preview ? getPreviewApiKey() : undefined,
+        defaultQueryConfig: {
+            usePreviewMode: preview,
+        },
+    });
+
+    return {
+        Query: {
+            taxonomy: async (_root, { codename }) => {
+                const response = await deliveryClient.taxonomy(codename).toPromise();
+
+                return {
+                    __typename: 'TaxonomyGroup',
+                    codename,
+                    terms: flattenTerms(response.data.taxonomy.terms),
+                };
+            },
+        },
+    };
+}
@@ -0,0 +1,145 @@
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { StaticRouter } from "react-router-dom";
+import { HelmetProvider } from 'react-helmet-async';
+import { ApolloProvider } from '@apollo/client';
+import { getDataFromTree } from '@apollo/client/react/ssr';
+import { ServerStyleSheets } from '@material-ui/core/styles';
+import fetch from 'cross-fetch';
+import get from 'lodash.get';
+import App from './App';
+import createApolloClient from './createApolloClient';
+import { getNavigationSubpagesQuery, homePageQuery, searchIndexQuery } from './graphQLQueries';
+import { getSiteMappings, homepageCodename } from './utils/getMappings';
+import { getLanguagePrefix, languages } from './utils/languages';
+import { createSearchIndex, getSearchDocuments } from './utils/search';
+import { getRedirects } from './utils/redirects';
+import { getUnresolvedNavigationItems, mergeNavigationSubpages } from './utils/navigation';
+
+function createTree(client, url, helmetContext, routerContext) {
+    return (
+        <HelmetProvider context={helmetContext}>
+            <ApolloProvider client={client}>
+                <StaticRouter location={url} context={routerContext}>
+                    <App />
+                </StaticRouter>
+            </ApolloProvider>
+        </HelmetProvider>
+    );
+}
+
+/**
+ * Renders the application for the given URL on the server.
+ * All the queries of the page are fetched before the final render using `getDataFromTree`.
+ * @param {string} url - path including the PUBLIC_URL and query string
+ * @returns {Promise<{url: string, html: string, css: string, helmet: Object, state: Object, status: number, context: Object}>}
+ */
+export async function renderPage(url) {
+    const client = createApolloClient({ ssrMode: true, fetch });
+
+    // queries of the components are discovered level by level (App -> page -> sections)
+    await getDataFromTree(createTree(client, url, {}, {}));
+
+    const helmetContext = {};
+    const routerContext = {};
+    const sheets = new ServerStyleSheets();
+    const html = renderToString(sheets.collect(createTree(client, url, helmetContext, routerContext)));
+
+    return {
+        url,
+        html,
+        css: sheets.toString(),
+        helmet: helmetContext.helmet,
+        state: client.extract(),
+        status: routerContext.url ? routerContext.statusCode || 302 : routerContext.statusCode || 200,
+        context: routerContext,
+    };
+}
+
+async function fetchHomePageData() {
+    const client = createApolloClient({ ssrMode: true, fetch });
+    let { data } = await client.query({
+        query: homePageQuery,
+        variables: { codename: homepageCodename },
+    });
+
+    // deeper levels of the navigation like the `NavigationLoader` does
+    let unresolvedItems = getUnresolvedNavigationItems(data);
+    while (unresolvedItems.length > 0) {
+        const { data: subpagesData } = await client.query({ query: getNavigationSubpagesQuery(unresolvedItems) });
+        data = mergeNavigationSubpages(data, unresolvedItems, subpagesData);
+        unresolvedItems = getUnresolvedNavigationItems(data);
+    }
+
+    return data;
+}
+
+/**
+ * Loads the mappings of all the site URLs outside of the React tree (sitemap, static export).
+ */
+export async function fetchMappings() {
+    return getSiteMappings(await fetchHomePageData());
+}
+
+/**
+ * Loads the redirects of the previous slugs and the redirect rules outside of the React tree (static export).
+ * @returns {Promise<Object>} `{url, statusCode}` by the mappings key of the redirected URL
+ */
+export async function fetchRedirects() {
+    const data = await fetchHomePageData();
+
+    return getRedirects(get(data, 'redirect_All.items', []), getSiteMappings(data));
+}
+
+/**
+ * Builds the search indexes of all the languages outside of the React tree (`npm run search-index`).
+ * @returns {Promise<Object>} serializable indexes by the route language
+ */
+export async function fetchSearchIndexes() {
+    const mappings = await fetchMappings();
+    const client = createApolloClient({ ssrMode: true, fetch });
+    const indexes = {};
+
+    for (const { codename } of languages) {
+        const homepageMapping = mappings[getLanguagePrefix(codename).join("/")];
+
+        if (homepageMapping) {
+            const { data } = await client.query({
+                query: searchIndexQuery,
+                variables: { languageCodename: homepageMapping.language },
+            });
+
+            indexes[codename] = createSearchIndex(getSearchDocuments(data, mappings, codename));
+        }
+    }
+
+    return indexes;
+}
+
+/**
+ * Injects the rendered page into the `index.html` produced by `react-scripts build`.
+ */
+export function renderDocument(template, { url, html, css, helmet, state }) {
+    const head = [
+        helmet.title.toString(),
+        helmet.meta.toString(),
+        helmet.link.toString(),
+        helmet.script.toString(),
+        helmet.noscript.toString(),
+        `<style id="jss-server-side">${css}</style>`,
+    ].join("");
+
+    // prevents closing the script tag from the serialized content
+    const serialize = (value) => JSON.stringify(value).replace(/</g, "\\u003c");
+    const serializedState = serialize(state);
+
+    // function replacers, the content could contain the `$` replacement patterns (i.e. `$&`)
+    return template
+        .replace(/<html[^>]*>/, () => `<html ${helmet.htmlAttributes.toString()}>`)
+        .replace(/<title>.*?<\/title>/, "")
+        .replace("</head>", () => `${head}</head>`)
+        .replace(
+            '<div id="root"></div>',
+            () => `<div id="root">${html}</div><script>window.__APOLLO_STATE__=${serializedState};window.__RENDERED_URL__=${serialize(url)};</script>`
+        );
+}
@@ -0,0 +1,33 @@
+import { renderDocument } from "./server";
+
+const template = '<html lang="en"><head><title>React App</title></head><body><div id="root"></div></body></html>';
+
+const helmetTags = (value = "") => ({ toString: () => value });
+
+const page = (html, state) => ({
+  url: "/blog?page=2",
+  html,
+  css: "",
+  state,
+  helmet: {
+    htmlAttributes: helmetTags('lang="en"'),
+    title: helmetTags("<title>Price $&amp; more</title>"),
+    meta: helmetTags('<meta name="description" content="Costs $\' and $$"/>'),
+    link: helmetTags(),
+    script: helmetTags(),
+    noscript: helmetTags(),
+  },
+});
+
+describe("renderDocument", () => {
+  it("keeps the replacement patterns of the content as they are", () => {
+    const document = renderDocument(template, page("<p>Only $& and $' for $$5</p>", { price: "$&$'$$" }));
+
+    expect(document).toBe(
+      '<html lang="en"><head><title>Price $&amp; more</title><meta name="description" content="Costs $\' and $$"/>' +
+      '<style id="jss-server-side"></style></head><body>' +
+      '<div id="root"><p>Only $& and $\' for $$5</p></div><script>window.__APOLLO_STATE__={"price":"$&$\'$$"};window.__RENDERED_URL__="/blog?page=2";</script>' +
+      "</body></html>"
+    );
+  });
+});
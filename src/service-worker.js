@@ -0,0 +1,85 @@
+/* eslint-disable no-restricted-globals */
+
+// Generated to the build output by the production build (Workbox InjectManifest plugin of react-scripts),
+// registered by ~/src/utils/serviceWorker.js.
+import { clientsClaim } from 'workbox-core';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute, setCatchHandler } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import srcIsKontentAsset from './utils/srcIsKontentAsset';
+import { getOfflineUrl } from './utils/offline';
+
+const pagesCacheName = 'pages';
+const assetsCacheName = 'kontent-assets';
+const appShellCacheName = 'app-shell';
+
+// unrendered index.html kept by the static export, which overwrites the index.html by the rendered homepage
+const appShellUrl = `${process.env.PUBLIC_URL}/app-shell.html`;
+
+clientsClaim();
+
+// application shell - scripts, styles and the index.html template
+precacheAndRoute(self.__WB_MANIFEST);
+
+// server rendered (or exported) pages are served from the cache instantly and updated on the background
+registerRoute(
+    ({ request }) => request.mode === 'navigate',
+    new StaleWhileRevalidate({
+        cacheName: pagesCacheName,
+        plugins: [
+            new CacheableResponsePlugin({ statuses: [200] }),
+            new ExpirationPlugin({ maxEntries: 50 }),
+        ],
+    })
+);
+
+// images and files of the Kontent asset delivery
+registerRoute(
+    ({ url }) => srcIsKontentAsset(url.href),
+    new CacheFirst({
+        cacheName: assetsCacheName,
+        plugins: [
+            // cross origin images loaded without CORS are opaque
+            new CacheableResponsePlugin({ statuses: [0, 200] }),
+            new ExpirationPlugin({ maxEntries: 200, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true }),
+        ],
+    })
+);
+
+self.addEventListener('install', event => {
+    // new build takes over the open pages immediately, their content is revalidated anyway
+    self.skipWaiting();
+
+    // offline page is rendered by the server (or the static export) like the other pages
+    event.waitUntil(Promise.all([
+        caches.open(pagesCacheName)
+            .then(cache => cache.add(getOfflineUrl()))
+            .catch(error => console.error('Offline page could not be cached', error)),
+        // exists only in the static export
+        caches.open(appShellCacheName)
+            .then(cache => cache.add(appShellUrl))
+            .catch(() => undefined),
+    ]));
+});
+
+// pages which were not visited before are not available without the connection
+setCatchHandler(async ({ event }) => {
+    if (event.request.mode !== 'navigate') {
+        return Response.error();
+    }
+
+    const offlinePage = await caches.match(getOfflineUrl(), { cacheName: pagesCacheName });
+    if (offlinePage) {
+        return offlinePage;
+    }
+
+    // the client side application renders the offline page itself
+    const appShell = await caches.match(appShellUrl, { cacheName: appShellCacheName });
+    if (appShell) {
+        return appShell;
+    }
+
+    return createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)({ event });
+});
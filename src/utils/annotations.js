@@ -0,0 +1,55 @@
+import get from "lodash.get";
+import projectId from "./projectId";
+
+const itemIdAttribute = "data-kontent-item-id";
+const elementCodenameAttribute = "data-kontent-element-codename";
+const languageCodenameAttribute = "data-kontent-language-codename";
+
+export const annotatedElementSelector = `[${itemIdAttribute}]`;
+
+/**
+ * Attributes identifying the content item (and optionally its element) rendered by a DOM element.
+ * Annotations are rendered only in preview mode, the published site stays untouched.
+ * @param {boolean} preview - value of the `PreviewContext`
+ * @param {Object} system - `_system_` of the item with `id` and `language` fetched
+ * @param {string} [elementCodename] - codename of the rendered element i.e. `title`
+ * @returns {Object} attributes to spread on the DOM element
+ */
+export function getAnnotations(preview, system, elementCodename) {
+  const itemId = get(system, "id", null);
+
+  if (!preview || !itemId) {
+    return {};
+  }
+
+  const annotations = {
+    [itemIdAttribute]: itemId,
+    [languageCodenameAttribute]: get(system, "language._system_.codename", null),
+  };
+
+  if (elementCodename) {
+    annotations[elementCodenameAttribute] = elementCodename;
+  }
+
+  return annotations;
+}
+
+/**
+ * Reads the annotations from the closest annotated element.
+ */
+export function getElementAnnotations(element) {
+  return {
+    itemId: element.getAttribute(itemIdAttribute),
+    languageCodename: element.getAttribute(languageCodenameAttribute),
+    elementCodename: element.getAttribute(elementCodenameAttribute),
+  };
+}
+
+/**
+ * Deep link to the item (and element) in the Kontent editor.
+ */
+export function getEditItemUrl({ itemId, languageCodename, elementCodename }) {
+  const itemUrl = `https://app.kontent.ai/goto/edit-item/project/${projectId}/variant-codename/${languageCodename}/item/${itemId}`;
+
+  return elementCodename ? `${itemUrl}/element/${elementCodename}` : itemUrl;
+}
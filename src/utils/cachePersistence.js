@@ -0,0 +1,66 @@
+import { CachePersistor } from "apollo3-cache-persist";
+import { del, get, set } from "idb-keyval";
+import possibleTypes from "../possibleTypes.json";
+
+// short non-cryptographic hash (djb2) of the string
+const getHash = (value) => Array.from(value)
+  .reduce((hash, character) => ((hash << 5) + hash + character.charCodeAt(0)) | 0, 5381)
+  .toString(36);
+
+// persisted data of another build might not match its queries and cache policies (i.e. the content types),
+// builds without the id share the cache until the content types change
+const buildId = process.env.REACT_APP_BUILD_ID || getHash(JSON.stringify(possibleTypes));
+const cacheKey = `apollo-cache-${buildId}`;
+
+// bigger caches are not persisted at all (characters of the serialized cache)
+const maxCacheSize = 5 * 1024 * 1024;
+
+const indexedDbStorage = {
+  getItem: (key) => get(key),
+  setItem: (key, value) => set(key, value),
+  removeItem: (key) => del(key),
+};
+
+const isIndexedDbAvailable = () => typeof window !== "undefined" && !!window.indexedDB;
+
+// data of the current cache (i.e. the server rendered state) are newer than the persisted ones
+const mergeCacheData = (persisted, current) => ({
+  ...persisted,
+  ...current,
+  ROOT_QUERY: {
+    ...persisted.ROOT_QUERY,
+    ...current.ROOT_QUERY,
+  },
+});
+
+/**
+ * Restores the Apollo cache persisted to IndexedDB and persists all the following cache writes.
+ * Returning visitors see the content they loaded before immediately (the queries are revalidated on the background)
+ * and the visited pages work without the connection.
+ * @param {Object} cache - cache of the Apollo client
+ * @returns {Promise} resolved when the cache is ready to be used even if the persisted data could not be loaded
+ */
+export function persistCache(cache) {
+  if (!isIndexedDbAvailable()) {
+    return Promise.resolve();
+  }
+
+  const persistor = new CachePersistor({
+    cache,
+    storage: indexedDbStorage,
+    key: cacheKey,
+    maxSize: maxCacheSize,
+  });
+
+  return indexedDbStorage.getItem(cacheKey)
+    .then(persisted => {
+      if (persisted) {
+        cache.restore(mergeCacheData(JSON.parse(persisted), cache.extract()));
+      }
+    })
+    .catch(error => {
+      console.error("Persisted cache could not be restored", error);
+      return persistor.purge();
+    })
+    .catch(() => undefined);
+}
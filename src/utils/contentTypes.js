@@ -0,0 +1,8 @@
+import camelCase from "lodash.camelcase";
+import upperFirst from "lodash.upperfirst";
+
+// GraphQL type name of the content type i.e. `case_study` -> `CaseStudy`
+export const getTypeName = (contentType) => upperFirst(camelCase(contentType));
+
+// GraphQL collection query of the content type i.e. `case_study` -> `caseStudy_All`
+export const getCollectionName = (contentType) => `${camelCase(contentType)}_All`;
@@ -0,0 +1,100 @@
+import get from "lodash.get";
+
+// hidden field name attractive for bots, people never see it
+export const honeypotFieldName = "website_url";
+
+// submissions sooner after the form was displayed are considered automated
+export const minimumSubmitTime = 3000;
+
+// repeated successful submissions of one form are throttled
+export const submitInterval = 30000;
+
+// time the form was displayed at, submitted for the `minimum_time` check of the form endpoint
+export const displayedAtFieldName = "form_displayed_at";
+
+const getSubmittedAtKey = (formId) => `formSubmittedAt:${formId}`;
+
+export const blockReasons = {
+  honeypot: "honeypot",
+  minimumTime: "minimum_time",
+  challenge: "challenge",
+  rateLimit: "rate_limit",
+};
+
+/**
+ * Protections enabled by the `spam_protection` multiple choice element of the `Form` item
+ * (`honeypot`, `minimum_time`, `challenge` and `rate_limit` options).
+ */
+export function getFormProtection(form) {
+  const options = get(form, "spamProtection.items", []).map(option => option._system_.codename);
+
+  return {
+    honeypot: options.includes("honeypot"),
+    minimumTime: options.includes("minimum_time"),
+    challenge: options.includes("challenge"),
+    rateLimit: options.includes("rate_limit"),
+  };
+}
+
+/**
+ * Reason the submission is blocked for, `null` if it is allowed.
+ * @param {Object} protection - result of `getFormProtection`
+ * @param {Object} submission
+ * @param {string} submission.honeypotValue - value of the honeypot field
+ * @param {number} submission.displayedAt - time the form was displayed at
+ * @param {number} [submission.lastSubmittedAt] - time of the last successful submission
+ * @param {string} [submission.challengeToken] - token of the solved challenge
+ * @param {number} [submission.now]
+ */
+export function getBlockReason(protection, { honeypotValue, displayedAt, lastSubmittedAt, challengeToken, now = Date.now() }) {
+  if (protection.honeypot && honeypotValue) {
+    return blockReasons.honeypot;
+  }
+  if (protection.minimumTime && now - displayedAt < minimumSubmitTime) {
+    return blockReasons.minimumTime;
+  }
+  if (protection.challenge && !challengeToken) {
+    return blockReasons.challenge;
+  }
+  if (protection.rateLimit && lastSubmittedAt && now - lastSubmittedAt < submitInterval) {
+    return blockReasons.rateLimit;
+  }
+
+  return null;
+}
+
+/**
+ * Values of the enabled protections submitted with the form fields. The checks in the browser are bypassed
+ * by posting to the form endpoint directly, so the endpoint must repeat them (and verify the challenge token).
+ * @param {Object} protection - result of `getFormProtection`
+ * @param {Object} submission - same as of `getBlockReason`
+ * @param {string} [tokenFieldName] - field name of the challenge token, see `FormChallengeContext`
+ */
+export function getProtectionValues(protection, { honeypotValue, displayedAt, challengeToken }, tokenFieldName) {
+  return {
+    ...(protection.honeypot ? { [honeypotFieldName]: honeypotValue } : {}),
+    ...(protection.minimumTime ? { [displayedAtFieldName]: displayedAt } : {}),
+    ...(protection.challenge ? { [tokenFieldName]: challengeToken } : {}),
+  };
+}
+
+/**
+ * Time of the last successful submission of the form in the browser session, `null` if there is none
+ * (or the session storage is not available).
+ */
+export function getLastSubmittedAt(formId) {
+  try {
+    const value = parseInt(window.sessionStorage.getItem(getSubmittedAtKey(formId)), 10);
+    return isNaN(value) ? null : value;
+  } catch {
+    return null;
+  }
+}
+
+export function setLastSubmittedAt(formId, time = Date.now()) {
+  try {
+    window.sessionStorage.setItem(getSubmittedAtKey(formId), String(time));
+  } catch {
+    // the throttling is skipped without the session storage (i.e. private mode or SSR)
+  }
+}
@@ -0,0 +1,97 @@
+import {
+  blockReasons,
+  displayedAtFieldName,
+  getBlockReason,
+  getFormProtection,
+  getLastSubmittedAt,
+  getProtectionValues,
+  honeypotFieldName,
+  minimumSubmitTime,
+  setLastSubmittedAt,
+  submitInterval,
+} from "./formProtection";
+
+const allProtections = { honeypot: true, minimumTime: true, challenge: true, rateLimit: true };
+const noProtections = { honeypot: false, minimumTime: false, challenge: false, rateLimit: false };
+
+const now = 1000000;
+// submission passing all the protections
+const submission = {
+  honeypotValue: "",
+  displayedAt: now - minimumSubmitTime,
+  lastSubmittedAt: null,
+  challengeToken: "token",
+  now,
+};
+
+describe("getFormProtection", () => {
+  it("enables the protections selected in the spam_protection element", () => {
+    const form = { spamProtection: { items: [{ _system_: { codename: "honeypot" } }, { _system_: { codename: "rate_limit" } }] } };
+
+    expect(getFormProtection(form)).toEqual({ honeypot: true, minimumTime: false, challenge: false, rateLimit: true });
+  });
+
+  it("disables all the protections of a form without the element", () => {
+    expect(getFormProtection(null)).toEqual(noProtections);
+  });
+});
+
+describe("getBlockReason", () => {
+  it("allows the valid submission", () => {
+    expect(getBlockReason(allProtections, submission)).toBeNull();
+  });
+
+  it("blocks the filled honeypot", () => {
+    expect(getBlockReason(allProtections, { ...submission, honeypotValue: "https://spam.example.com" }))
+      .toBe(blockReasons.honeypot);
+  });
+
+  it("blocks the submission sooner than the minimum time", () => {
+    expect(getBlockReason(allProtections, { ...submission, displayedAt: now - minimumSubmitTime + 1 }))
+      .toBe(blockReasons.minimumTime);
+  });
+
+  it("blocks the submission without the challenge token", () => {
+    expect(getBlockReason(allProtections, { ...submission, challengeToken: null }))
+      .toBe(blockReasons.challenge);
+  });
+
+  it("blocks the repeated submission within the interval", () => {
+    expect(getBlockReason(allProtections, { ...submission, lastSubmittedAt: now - submitInterval + 1 }))
+      .toBe(blockReasons.rateLimit);
+    expect(getBlockReason(allProtections, { ...submission, lastSubmittedAt: now - submitInterval }))
+      .toBeNull();
+  });
+
+  it("skips the disabled protections", () => {
+    expect(getBlockReason(noProtections, {
+      honeypotValue: "https://spam.example.com",
+      displayedAt: now,
+      lastSubmittedAt: now,
+      challengeToken: null,
+      now,
+    })).toBeNull();
+  });
+});
+
+describe("getProtectionValues", () => {
+  it("submits the values of the enabled protections for the form endpoint", () => {
+    expect(getProtectionValues(allProtections, submission, "challenge_token")).toEqual({
+      [honeypotFieldName]: "",
+      [displayedAtFieldName]: now - minimumSubmitTime,
+      challenge_token: "token",
+    });
+    expect(getProtectionValues(noProtections, submission, "challenge_token")).toEqual({});
+  });
+});
+
+describe("getLastSubmittedAt", () => {
+  beforeEach(() => window.sessionStorage.clear());
+
+  it("keeps the last submission time of every form in the session storage", () => {
+    setLastSubmittedAt("contact", 42);
+
+    expect(getLastSubmittedAt("contact")).toBe(42);
+    expect(getLastSubmittedAt("newsletter")).toBeNull();
+  });
+});
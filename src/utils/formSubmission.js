@@ -0,0 +1,58 @@
+// i.e. a local stub endpoint, overrides the `form_action` of all the forms
+const FORM_ACTION_URL = process.env.REACT_APP_FORM_ACTION_URL;
+
+export const getFormAction = (formAction) => FORM_ACTION_URL || formAction;
+
+const isFile = (value) => typeof File !== "undefined" && value instanceof File;
+
+// the same body as the browser would post (checked checkboxes as "on", unchecked ones omitted, multiple values repeated)
+// files are sent as `multipart/form-data`, other forms as `application/x-www-form-urlencoded`
+export const getFormBody = (values) => {
+  const hasFiles = Object.keys(values).some(name => isFile(values[name]));
+
+  return Object.keys(values).reduce((body, name) => {
+    [].concat(values[name]).forEach(value => {
+      if (value === true) {
+        body.append(name, "on");
+      } else if (value !== false && value !== null && typeof value !== "undefined") {
+        body.append(name, value);
+      }
+    });
+
+    return body;
+  }, hasFiles ? new FormData() : new URLSearchParams());
+};
+
+/**
+ * Default submission handler posting the values to the form action.
+ * Handlers are expected to return a promise rejected when the submission failed.
+ * Submissions blocked by the spam protection are reported as well, they are just logged by default.
+ * @param {string} action - URL the form is submitted to
+ * @param {Object} values - field values by the field name
+ * @param {Object} [options]
+ * @param {string} [options.blockReason] - one of `blockReasons` from `utils/formProtection.js`
+ */
+export async function submitForm(action, values, { blockReason } = {}) {
+  if (blockReason) {
+    console.warn(`Form submission to ${action} was blocked: ${blockReason}`);
+    return null;
+  }
+
+  if (!action) {
+    throw new Error("Form action is not set");
+  }
+
+  const response = await fetch(action, {
+    method: "POST",
+    headers: {
+      Accept: "application/json",
+    },
+    body: getFormBody(values),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Form submission failed with status ${response.status}`);
+  }
+
+  return response;
+}
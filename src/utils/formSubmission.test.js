@@ -0,0 +1,27 @@
+import { getFormBody } from "./formSubmission";
+
+describe("getFormBody", () => {
+  it("encodes the values as the browser would post them", () => {
+    const body = getFormBody({
+      name: "Jane",
+      agree: true,
+      newsletter: false,
+      interests: ["news", "events"],
+      phone: null,
+    });
+
+    expect(body).toBeInstanceOf(URLSearchParams);
+    expect(body.toString()).toBe("name=Jane&agree=on&interests=news&interests=events");
+  });
+
+  it("sends the forms with files as multipart form data", () => {
+    const file = new File(["content"], "cv.pdf", { type: "application/pdf" });
+    const body = getFormBody({ name: "Jane", attachment: file, topics: ["jobs"] });
+
+    expect(body).toBeInstanceOf(FormData);
+    expect(body.get("name")).toBe("Jane");
+    expect(body.get("attachment")).toBeInstanceOf(File);
+    expect(body.get("attachment").name).toBe("cv.pdf");
+    expect(body.getAll("topics")).toEqual(["jobs"]);
+  });
+});
@@ -0,0 +1,133 @@
+import get from "lodash.get";
+
+// simplified check, the receiving endpoint is responsible for the proper validation
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// patterns referenced by `pattern_<name>` configuration terms
+export const validationPatterns = {
+  phone: {
+    pattern: /^\+?[0-9 ()-]{6,20}$/,
+    message: "Enter a valid phone number.",
+  },
+  zip: {
+    pattern: /^[0-9A-Za-z -]{3,10}$/,
+    message: "Enter a valid postal code.",
+  },
+  url: {
+    pattern: /^https?:\/\/\S+$/,
+    message: "Enter a valid URL starting with http:// or https://.",
+  },
+};
+
+const isEmpty = (value) => value === false || value === null || typeof value === "undefined" ||
+  (Array.isArray(value) ? value.length === 0 : String(value).trim() === "");
+
+// `accept` attribute format i.e. ".pdf, image/*"
+const isAcceptedFile = (file, acceptedTypes) => acceptedTypes
+  .split(",")
+  .map(type => type.trim().toLowerCase())
+  .filter(type => type)
+  .some(type => {
+    if (type.startsWith(".")) {
+      return file.name.toLowerCase().endsWith(type);
+    }
+    if (type.endsWith("/*")) {
+      return file.type.startsWith(type.substring(0, type.length - 1));
+    }
+    return file.type === type;
+  });
+
+const isNumber = (value) => value !== null && typeof value !== "undefined";
+
+// limits set by the elements of the field content type (number and file fields)
+const getElementRules = (field) => {
+  const rules = [];
+
+  if (field._system_.type._system_.codename === "number_form_field") {
+    rules.push({ validate: (value) => !Number.isNaN(Number(value)), message: "Enter a number." });
+  }
+  if (isNumber(field.min)) {
+    rules.push({ validate: (value) => Number(value) >= field.min, message: `Enter a number greater than or equal to ${field.min}.` });
+  }
+  if (isNumber(field.max)) {
+    rules.push({ validate: (value) => Number(value) <= field.max, message: `Enter a number less than or equal to ${field.max}.` });
+  }
+  if (isNumber(field.maxSize)) {
+    rules.push({ validate: (file) => file.size <= field.maxSize * 1024 * 1024, message: `The file must not be larger than ${field.maxSize} MB.` });
+  }
+  if (field.acceptedTypes) {
+    rules.push({ validate: (file) => isAcceptedFile(file, field.acceptedTypes), message: `Allowed file types: ${field.acceptedTypes}.` });
+  }
+
+  return rules;
+};
+
+const getLengthRule = (codename, prefix, test, getMessage) => {
+  const length = parseInt(codename.substring(prefix.length), 10);
+
+  return Number.isNaN(length) ? null : {
+    validate: (value) => test(String(value).length, length),
+    message: getMessage(length),
+  };
+};
+
+// rules are resolved by the codename of the form field `configuration` taxonomy term
+const resolveRule = (codename) => {
+  if (codename === "required") {
+    return { required: true, validate: (value) => !isEmpty(value), message: "This field is required." };
+  }
+  if (codename === "email") {
+    return { validate: (value) => emailPattern.test(value), message: "Enter a valid email address." };
+  }
+  if (codename.startsWith("min_length_")) {
+    return getLengthRule(codename, "min_length_", (actual, min) => actual >= min, min => `Enter at least ${min} characters.`);
+  }
+  if (codename.startsWith("max_length_")) {
+    return getLengthRule(codename, "max_length_", (actual, max) => actual <= max, max => `Enter at most ${max} characters.`);
+  }
+  if (codename.startsWith("pattern_")) {
+    const pattern = validationPatterns[codename.substring("pattern_".length)];
+    return pattern ? { validate: (value) => pattern.pattern.test(value), message: pattern.message } : null;
+  }
+
+  return null;
+};
+
+/**
+ * Validation rules of the form field from its `configuration` taxonomy terms
+ * (`required`, `email`, `min_length_<n>`, `max_length_<n>` and `pattern_<name>`)
+ * followed by the limits of number (`min`, `max`) and file (`max_size`, `accepted_types`) fields.
+ * Unknown terms are ignored.
+ */
+export function getValidationRules(field) {
+  return get(field, "configuration.items", [])
+    .map(term => term._system_.codename)
+    .map(resolveRule)
+    .filter(rule => rule)
+    .concat(getElementRules(field));
+}
+
+/**
+ * Message of the first failing rule, `null` for a valid value.
+ * Other rules than `required` are not applied to empty values.
+ */
+export function validateValue(rules, value) {
+  const failedRule = rules.find(rule => (rule.required || !isEmpty(value)) && !rule.validate(value));
+
+  return failedRule ? failedRule.message : null;
+}
+
+/**
+ * Errors of the invalid fields by the field name.
+ */
+export function validateForm(fields, values) {
+  return fields.reduce((errors, field) => {
+    const error = validateValue(getValidationRules(field), values[field.name]);
+
+    if (error) {
+      errors[field.name] = error;
+    }
+
+    return errors;
+  }, {});
+}
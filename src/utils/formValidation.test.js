@@ -0,0 +1,77 @@
+import { validateForm } from "./formValidation";
+
+const terms = (...codenames) => ({ items: codenames.map(codename => ({ _system_: { codename } })) });
+
+const field = (name, type, other = {}) => ({
+  _system_: { codename: name, type: { _system_: { codename: type } } },
+  name,
+  configuration: terms(),
+  ...other,
+});
+
+describe("validateForm", () => {
+  it("requires the values of the required fields", () => {
+    const fields = [
+      field("name", "base_form_field", { configuration: terms("required") }),
+      field("agree", "base_form_field", { configuration: terms("required") }),
+      field("interests", "checkbox_group_form_field", { configuration: terms("required") }),
+      field("note", "base_form_field"),
+    ];
+
+    expect(validateForm(fields, { name: "  ", agree: false, interests: [], note: "" })).toEqual({
+      name: "This field is required.",
+      agree: "This field is required.",
+      interests: "This field is required.",
+    });
+    expect(validateForm(fields, { name: "Jane", agree: true, interests: ["news"], note: "" })).toEqual({});
+  });
+
+  it("validates the email and the patterns", () => {
+    const fields = [
+      field("email", "base_form_field", { configuration: terms("email") }),
+      field("phone", "base_form_field", { configuration: terms("pattern_phone") }),
+      field("website", "base_form_field", { configuration: terms("pattern_url", "pattern_unknown") }),
+    ];
+
+    expect(validateForm(fields, { email: "jane@", phone: "call me", website: "example.com" })).toEqual({
+      email: "Enter a valid email address.",
+      phone: "Enter a valid phone number.",
+      website: "Enter a valid URL starting with http:// or https://.",
+    });
+    expect(validateForm(fields, { email: "jane@example.com", phone: "+1 (555) 123-456", website: "https://example.com" })).toEqual({});
+  });
+
+  it("skips the other rules than required for empty values", () => {
+    const fields = [field("email", "base_form_field", { configuration: terms("email", "min_length_5") })];
+
+    expect(validateForm(fields, { email: "" })).toEqual({});
+  });
+
+  it("validates the minimal and maximal length", () => {
+    const fields = [field("message", "base_form_field", { configuration: terms("min_length_3", "max_length_5") })];
+
+    expect(validateForm(fields, { message: "hi" })).toEqual({ message: "Enter at least 3 characters." });
+    expect(validateForm(fields, { message: "hello!" })).toEqual({ message: "Enter at most 5 characters." });
+    expect(validateForm(fields, { message: "hey" })).toEqual({});
+  });
+
+  it("validates the number limits", () => {
+    const fields = [field("count", "number_form_field", { min: 1, max: 10 })];
+
+    expect(validateForm(fields, { count: "many" })).toEqual({ count: "Enter a number." });
+    expect(validateForm(fields, { count: "0" })).toEqual({ count: "Enter a number greater than or equal to 1." });
+    expect(validateForm(fields, { count: "11" })).toEqual({ count: "Enter a number less than or equal to 10." });
+    expect(validateForm(fields, { count: "10" })).toEqual({});
+  });
+
+  it("validates the file size and type", () => {
+    const fields = [field("attachment", "file_form_field", { maxSize: 1, acceptedTypes: ".pdf, image/*" })];
+    const file = (name, type, size) => ({ name, type, size });
+
+    expect(validateForm(fields, { attachment: file("cv.pdf", "application/pdf", 2 * 1024 * 1024) }))
+      .toEqual({ attachment: "The file must not be larger than 1 MB." });
+    expect(validateForm(fields, { attachment: file("cv.doc", "application/msword", 1024) }))
+      .toEqual({ attachment: "Allowed file types: .pdf, image/*." });
+    expect(validateForm(fields, { attachment: file("photo.jpg", "image/jpeg", 1024) })).toEqual({});
+  });
+});
@@ -0,0 +1,8 @@
+import getUrlSlug from "./getUrlSlug";
+
+export default function getAbsoluteUrl(slugPartsArrayOrString) {
+  const origin = process.env.REACT_APP_SITE_ORIGIN ||
+    (typeof window !== "undefined" ? window.location.origin : "");
+
+  return `${origin}${getUrlSlug(slugPartsArrayOrString)}`;
+}
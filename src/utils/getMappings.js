@@ -0,0 +1,183 @@
+import { fallbackLanguage, getLanguagePrefix, languages } from "./languages";
+import getSeo from "./getSeo";
+import { getCollectionName } from "./contentTypes";
+import { parsePreviousSlugs } from "./redirects";
+
+export const homepageCodename = "homepage";
+
+// the later modification of the navigation item and its content
+const getLastModified = (...systems) => systems
+  .map(system => system?.lastModified)
+  .filter(lastModified => lastModified)
+  .sort()
+  .pop() || null;
+
+// former URLs of the item - its previous slugs under the current and the former URLs of the parent
+const getPreviousSlugs = (parrentSlug, parentPreviousSlugs, item) => {
+  const slug = parrentSlug.concat([item.slug]).join("/");
+  const itemSlugs = [item.slug, ...parsePreviousSlugs(item.previousSlugs)];
+
+  return [parrentSlug, ...parentPreviousSlugs]
+    .flatMap(parentSlug => itemSlugs.map(itemSlug => parentSlug.concat([itemSlug]).join("/")))
+    .filter(previousSlug => previousSlug !== slug);
+};
+
+const getNavigationData = (parrentSlug, item, language, parentPreviousSlugs = []) => {
+  return {
+    slug: parrentSlug.concat([item.slug]),
+    previousSlugs: getPreviousSlugs(parrentSlug, parentPreviousSlugs, item),
+    navigationType: "navigationItem",
+    navigationCodename: item._system_?.codename,
+    navigationId: item._system_?.id,
+    // i.e. for the breadcrumbs of the pages without the SEO title
+    title: item.label || item._system_?.name,
+    contentCodename: item.content._system_.codename,
+    contentId: item.content._system_.id,
+    contentType: item.content._system_.type._system_.codename,
+    language,
+    seo: getSeo(item._seo),
+    lastModified: getLastModified(item._system_, item.content._system_),
+  };
+};
+
+// items of any listed content type (i.e. posts of the blog) are routed under their listing page
+const getListingItemData = (parrentSlug, item, language, parentPreviousSlugs = []) => {
+  return {
+    slug: parrentSlug.concat([item.slug]),
+    previousSlugs: getPreviousSlugs(parrentSlug, parentPreviousSlugs, item),
+    navigationType: "listingItem",
+    navigationCodename: item._system_?.codename,
+    navigationId: item._system_?.id,
+    title: item._system_?.name,
+    contentCodename: item._system_?.codename,
+    contentId: item._system_?.id,
+    contentType: item._system_?.type._system_.codename,
+    language,
+    seo: getSeo(item._seo),
+    lastModified: getLastModified(item._system_),
+  };
+};
+
+/**
+ * Picks the aliased fields of one language (i.e. `homepage_default`) from the HomePageQuery result.
+ */
+export function getLanguageData(data, language) {
+  const suffix = `_${language}`;
+
+  return Object.keys(data).reduce((result, key) => {
+    if (key.endsWith(suffix)) {
+      result[key.substring(0, key.length - suffix.length)] = data[key];
+    }
+
+    return result;
+  }, {});
+}
+
+/**
+ * Builds the mappings of all the site URLs for one language.
+ * Keys are slugs joined by "/", non-default languages are prefixed.
+ * `contentLanguage` is the language of the content used for the routes (differs if fallback was used).
+ */
+export default function getMappings(data, language, contentLanguage = language) {
+  const prefix = getLanguagePrefix(language);
+  const mappings = [
+    {
+      slug: prefix,
+      navigationCodename: homepageCodename,
+      navigationType: "homepage",
+      navigationId: data.homepage._system_?.id,
+      title: data.homepage._system_?.name,
+      contentCodename: data.homepage.content._system_.codename,
+      contentId: data.homepage.content._system_.id,
+      contentType: data.homepage.content._system_.type._system_.codename,
+      language: contentLanguage,
+      seo: getSeo(data.homepage._seo),
+      lastModified: getLastModified(data.homepage._system_, data.homepage.content._system_),
+    },
+  ];
+
+  // every level of the navigation fetched by the HomePageQuery and NavigationSubpagesQuery (see `utils/navigation.js`)
+  const addNavigationItems = (items, parentSlug, parentPreviousSlugs) => items
+    // subpages of the deepest level are not fetched and the other types are not routed
+    .filter(item => item.slug && item.content)
+    .forEach((item) => {
+      const navigationData = getNavigationData(parentSlug, item, contentLanguage, parentPreviousSlugs);
+      // previous slugs are split to their parts to be combined with the previous slugs of the subpages
+      const previousSlugParts = navigationData.previousSlugs.map(previousSlug => previousSlug.split("/"));
+      mappings.push(navigationData);
+
+      const content = item.content;
+      if (content._system_.type._system_.codename === "listing_page") {
+        // only the types registered in `components/thumbnails` are fetched
+        const listingData = data[getCollectionName(content.contentType)];
+        if (!listingData) {
+          console.error(
+            `Unknown listing page content type: ${content.contentType}`
+          );
+        } else {
+          mappings.push(
+            ...listingData.items.map((subItem) =>
+              getListingItemData(navigationData.slug, subItem, contentLanguage, previousSlugParts)
+            )
+          );
+        }
+      }
+
+      addNavigationItems(item.subpages?.items || [], navigationData.slug, previousSlugParts);
+    });
+
+  addNavigationItems(data.homepage.subpages.items, prefix, []);
+
+  return mappings.reduce((result, item) => {
+    result[[].concat(item.slug).join("/")] = {
+      navigationCodename: item.navigationCodename,
+      navigationType: item.navigationType,
+      navigationId: item.navigationId || null,
+      title: item.title || null,
+      contentCodename: item.contentCodename,
+      contentId: item.contentId || null,
+      contentType: item.contentType,
+      language: item.language,
+      routeLanguage: language,
+      seo: item.seo,
+      lastModified: item.lastModified,
+      previousSlugs: item.previousSlugs || [],
+    };
+
+    return result;
+  }, {});
+}
+
+/**
+ * Resolves the HomePageQuery data for every configured language.
+ * Languages without the homepage use the fallback language data.
+ */
+export function getLanguagesData(data) {
+  const fallbackData = getLanguageData(data, fallbackLanguage);
+
+  return languages.reduce((result, { codename }) => {
+    const languageData = getLanguageData(data, codename);
+    const resolvedData = languageData.homepage ? languageData : fallbackData;
+
+    if (!resolvedData.homepage) {
+      console.error(`Homepage is not available in language: ${codename}`);
+      return result;
+    }
+
+    result.push({
+      language: codename,
+      contentLanguage: languageData.homepage ? codename : fallbackLanguage,
+      data: resolvedData,
+    });
+
+    return result;
+  }, []);
+}
+
+/**
+ * Builds the mappings of all the site URLs in all languages from the HomePageQuery data.
+ */
+export function getSiteMappings(data) {
+  return getLanguagesData(data).reduce((result, { language, contentLanguage, data }) =>
+    Object.assign(result, getMappings(data, language, contentLanguage)), {});
+}
@@ -4,7 +4,7 @@ export default function getSeo(seo) {
   const description = get(seo, "description", null); // pageProps
   const keyWords = get(seo, "keywords", null); // pageProps
   const canonicalUrl = get(seo, "canonicalUrl", null); // pageProps
-  const noIndex = get(seo, "noIndex", null); // pageProps
+  const noIndex = get(seo, "options.items", []).some(option => option._system_.codename === "no_index"); // pageProps
   const title = get(seo, "title", null);
 
   return {
@@ -0,0 +1,69 @@
+import getAbsoluteUrl from "./getAbsoluteUrl";
+import { getAlternateUrlsFromMapping } from "./getUrlFromMapping";
+import { getUrlResolver } from "./urlResolver";
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&apos;");
+
+/**
+ * Generates sitemap.xml content from the mappings.
+ * Pages with the `no_index` SEO option are skipped, `canonicalUrl` is used as the location when set.
+ * Content reachable from several parents is listed under its canonical URL only (see `getUrlResolver`).
+ */
+export function getSitemap(mappings) {
+  const urlResolver = getUrlResolver(mappings);
+  const locations = new Set();
+  const entries = [];
+
+  Object.keys(mappings).forEach(slug => {
+    const mapping = mappings[slug];
+
+    if (mapping.seo?.noIndex || urlResolver.getCanonicalUrl(slug) !== slug) {
+      return;
+    }
+
+    const location = mapping.seo?.canonicalUrl || getAbsoluteUrl(slug);
+    if (locations.has(location)) {
+      return;
+    }
+    locations.add(location);
+
+    const alternates = getAlternateUrlsFromMapping(mappings, mapping.navigationCodename);
+    const entry = [`    <loc>${escapeXml(location)}</loc>`];
+
+    if (mapping.lastModified) {
+      entry.push(`    <lastmod>${escapeXml(mapping.lastModified)}</lastmod>`);
+    }
+    if (alternates.length > 1) {
+      entry.push(...alternates.map(alternate =>
+        `    <xhtml:link rel="alternate" hreflang="${escapeXml(alternate.locale)}" href="${escapeXml(getAbsoluteUrl(alternate.url))}"/>`));
+    }
+
+    entries.push(`  <url>\n${entry.join("\n")}\n  </url>`);
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...entries,
+    "</urlset>",
+    "",
+  ].join("\n");
+}
+
+export const sitemapFileName = "sitemap.xml";
+
+export function getRobotsTxt() {
+  return [
+    "# https://www.robotstxt.org/robotstxt.html",
+    "User-agent: *",
+    "Disallow:",
+    "",
+    `Sitemap: ${getAbsoluteUrl(sitemapFileName)}`,
+    "",
+  ].join("\n");
+}
@@ -1,15 +1,31 @@
-export function getUrlFromMappingByCodename(mappings, codename) {
-  return Object.keys(mappings).find(key => mappings[key].navigationCodename === codename);
+import { languages } from "./languages";
+import { getUrlResolver } from "./urlResolver";
+
+// canonical URL of the navigation or content item by its codename (see `getUrlResolver`)
+export function getUrlFromMappingByCodename(mappings, codename, language) {
+  return getUrlResolver(mappings).getUrl(codename, language);
 }
 
-export function getUrlFromMappingByPathName(mappings, pathname) {
+// mappings key of the path i.e. `/<PUBLIC_URL>/blog` -> `blog`
+export function getSlugFromPathName(pathname) {
   let unifiedPath = pathname;
 
   if (pathname.startsWith(process.env.PUBLIC_URL)) {
     unifiedPath = pathname.replace(process.env.PUBLIC_URL, "");
   }
 
-  unifiedPath = unifiedPath.startsWith("/") ? unifiedPath.substring(1) : unifiedPath;
+  return unifiedPath.startsWith("/") ? unifiedPath.substring(1) : unifiedPath;
+}
 
-  return mappings[unifiedPath];
-}
\ No newline at end of file
+export function getUrlFromMappingByPathName(mappings, pathname) {
+  return mappings[getSlugFromPathName(pathname)];
+}
+
+export function getAlternateUrlsFromMapping(mappings, codename) {
+  return languages
+    .map(language => ({
+      ...language,
+      url: getUrlFromMappingByCodename(mappings, codename, language.codename),
+    }))
+    .filter(alternate => typeof alternate.url !== "undefined");
+}
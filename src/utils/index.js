@@ -1,12 +1,17 @@
-import { getUrlFromMappingByCodename, getUrlFromMappingByPathName } from "./getUrlFromMapping";
+import { getUrlFromMappingByCodename, getUrlFromMappingByPathName, getAlternateUrlsFromMapping } from "./getUrlFromMapping";
 import kontentImageLoader from "./kontentImageLoader";
 import srcIsKontentAsset from "./srcIsKontentAsset";
 import getUrlSlug from "./getUrlSlug";
+import getAbsoluteUrl from "./getAbsoluteUrl";
+import { getAnnotations } from "./annotations";
 
 export {
   getUrlFromMappingByCodename,
   getUrlFromMappingByPathName,
+  getAlternateUrlsFromMapping,
   kontentImageLoader,
   srcIsKontentAsset,
   getUrlSlug,
-};
\ No newline at end of file
+  getAbsoluteUrl,
+  getAnnotations,
+};
@@ -0,0 +1,52 @@
+// Comma separated list of `languageCodename=locale` pairs, the first one is the default language
+// i.e. REACT_APP_KONTENT_LANGUAGES=default=en,de=de
+const LANGUAGES_CONFIGURATION = process.env.REACT_APP_KONTENT_LANGUAGES || "default=en";
+
+export const languages = LANGUAGES_CONFIGURATION
+  .split(",")
+  .map(language => language.trim())
+  .filter(language => language)
+  .map(language => {
+    const [codename, locale] = language.split("=").map(part => part.trim());
+    const resolvedLocale = locale || codename;
+
+    return {
+      codename,
+      locale: resolvedLocale,
+      label: resolvedLocale.split("-")[0].toUpperCase(),
+    };
+  });
+
+export const defaultLanguage = languages[0].codename;
+
+export const fallbackLanguage = process.env.REACT_APP_KONTENT_FALLBACK_LANGUAGE || defaultLanguage;
+
+export function getLanguage(codename) {
+  return languages.find(language => language.codename === codename) || languages[0];
+}
+
+// default language routes are not prefixed to keep the original URLs working
+export function getLanguagePrefix(codename) {
+  return codename === defaultLanguage ? [] : [getLanguage(codename).locale.toLowerCase()];
+}
+
+// route language of any URL by its prefix (i.e. of an unknown page), the default language routes are not prefixed
+export function getLanguageFromSlug(slug) {
+  const prefix = (slug || "").split("/")[0].toLowerCase();
+  const language = languages.find(({ codename }) => codename !== defaultLanguage && getLanguagePrefix(codename)[0] === prefix);
+
+  return language ? language.codename : defaultLanguage;
+}
+
+/**
+ * Whether the URL path (with or without the PUBLIC_URL) leads to the homepage of a language - the root or the language prefix (i.e. `/de`).
+ * The homepage routes are matched exactly, otherwise they would match every route of the language.
+ */
+export function isLanguageRoot(path) {
+  const publicUrl = process.env.PUBLIC_URL || "";
+  const slug = ((path || "").startsWith(publicUrl) ? path.slice(publicUrl.length) : path || "")
+    .replace(/^\/+|\/+$/g, "")
+    .toLowerCase();
+
+  return slug === "" || slug === getLanguagePrefix(getLanguageFromSlug(slug))[0];
+}
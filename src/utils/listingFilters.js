@@ -0,0 +1,149 @@
+import camelCase from "lodash.camelcase";
+import get from "lodash.get";
+import { getCollectionName } from "./contentTypes";
+
+export const filterTypes = {
+  taxonomy: "taxonomy",
+  linkedItems: "linked_items",
+  dateRange: "date_range",
+};
+
+/**
+ * Normalizes the `Listing filter` items linked to the listing page.
+ * `element` is the codename of the filtered element of the listed content type.
+ */
+export function getFilters(listingPage) {
+  return get(listingPage, "filters.items", []).map((filter) => {
+    const type = get(filter, "type.items[0]._system_.codename", filterTypes.taxonomy);
+
+    return {
+      label: filter.label,
+      parameterName: filter.element,
+      fieldName: camelCase(filter.element),
+      type,
+      isRange: type === filterTypes.dateRange,
+      matchAll: get(filter, "match.items[0]._system_.codename", null) === "all",
+      taxonomyGroup: filter.taxonomyGroup,
+      optionsType: filter.optionsType,
+    };
+  });
+}
+
+const getVariableName = (index) => `filter${index}`;
+
+/**
+ * Parts of the listing query for the selected filter values.
+ * @param {Object[]} filters - result of `getFilters`
+ * @param {Object} filterValues - selected values by the filter parameter name
+ * @returns {{signature: string, condition: string, variables: Object}} query variables declaration, `where` argument and variables
+ */
+export function getFilterQuery(filters, filterValues) {
+  const declarations = [];
+  const conditions = [];
+  const variables = {};
+
+  filters.forEach((filter, index) => {
+    const value = filterValues[filter.parameterName];
+    const variableName = getVariableName(index);
+
+    if (filter.isRange) {
+      // whole days are included in the range
+      const bounds = [
+        ["from", "gte", "T00:00:00Z"],
+        ["to", "lte", "T23:59:59Z"],
+      ];
+
+      bounds
+        .filter(([bound]) => value[bound])
+        .forEach(([bound, operator, time]) => {
+          declarations.push(`$${variableName}_${bound}: DateTime`);
+          conditions.push(`{ ${filter.fieldName}: { ${operator}: $${variableName}_${bound} } }`);
+          variables[`${variableName}_${bound}`] = `${value[bound]}${time}`;
+        });
+    }
+    else if (value.length > 0) {
+      declarations.push(`$${variableName}: [String!]!`);
+      conditions.push(`{ ${filter.fieldName}: { ${filter.matchAll ? "containsAll" : "containsAny"}: $${variableName} } }`);
+      variables[variableName] = value;
+    }
+  });
+
+  let condition = "";
+  if (conditions.length === 1) {
+    condition = `, where: ${conditions[0]}`;
+  }
+  else if (conditions.length > 1) {
+    condition = `, where: { AND: [${conditions.join(", ")}] }`;
+  }
+
+  return {
+    signature: declarations.map(declaration => `, ${declaration}`).join(""),
+    condition,
+    variables,
+  };
+}
+
+/**
+ * Query loading the options of the filters - taxonomy terms using the local resolver and items of the linked type.
+ * Filters without options (date ranges) are not part of the query.
+ */
+export function getFilterOptionsQuery(filters) {
+  const fields = filters.map((filter, index) => {
+    switch (filter.type) {
+      case filterTypes.taxonomy:
+        return `${getVariableName(index)}: taxonomy(codename: "${filter.taxonomyGroup}") @client {
+          terms {
+            codename
+            name
+          }
+        }`;
+      case filterTypes.linkedItems:
+        return `${getVariableName(index)}: ${getCollectionName(filter.optionsType)}(languageFilter: { languageCodename: $languageCodename }) {
+          items {
+            _system_ {
+              codename
+              name
+            }
+          }
+        }`;
+      default:
+        return null;
+    }
+  }).filter(field => field);
+
+  const usesLanguage = filters.some(filter => filter.type === filterTypes.linkedItems);
+
+  return `
+    query ListingFilterOptionsQuery${usesLanguage ? "($languageCodename: String!)" : ""} {
+      ${fields.length > 0 ? fields.join("\n") : "__typename"}
+    }
+  `;
+}
+
+/**
+ * Options of the filters by the filter parameter name in `{name, codename}` format.
+ */
+export function getFilterOptions(filters, data) {
+  return filters.reduce((result, filter, index) => {
+    const optionsData = get(data, getVariableName(index), null);
+
+    switch (filter.type) {
+      case filterTypes.taxonomy:
+        result[filter.parameterName] = get(optionsData, "terms", []).map(term => ({
+          name: term.name,
+          codename: term.codename,
+        }));
+        break;
+      case filterTypes.linkedItems:
+        result[filter.parameterName] = get(optionsData, "items", []).map(item => ({
+          name: item._system_.name,
+          codename: item._system_.codename,
+        }));
+        break;
+      default:
+        result[filter.parameterName] = [];
+    }
+
+    return result;
+  }, {});
+}
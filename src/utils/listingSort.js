@@ -0,0 +1,47 @@
+import camelCase from "lodash.camelcase";
+
+// sort value is the codename of the element followed by the direction i.e. `publishing_date_desc`
+const sortPattern = /^([a-z0-9_]+)_(asc|desc)$/;
+
+// options offered by the listing page, listing sections accept any sort value of the sortable elements in their `order_by` element
+export const sortOptions = [
+  { codename: "publishing_date_desc", element: "publishing_date", name: "Newest first" },
+  { codename: "publishing_date_asc", element: "publishing_date", name: "Oldest first" },
+  { codename: "title_asc", element: "title", name: "Title (A-Z)" },
+  { codename: "title_desc", element: "title", name: "Title (Z-A)" },
+];
+
+// elements of the listable content types the collection could be ordered by - text, date and number elements only,
+// the GraphQL API can't order by linked items (i.e. the post `author`)
+export const sortableElements = {
+  post: ["publishing_date", "title"],
+};
+
+/**
+ * Sort options of the elements the listed content type has, empty for unknown types.
+ */
+export function getSortOptions(contentType) {
+  const elements = sortableElements[contentType] || [];
+  return sortOptions.filter(option => elements.includes(option.element));
+}
+
+/**
+ * Converts the sort value to the `order` argument of the collection query i.e. `, order: { publishingDate: desc }`.
+ * Returns empty string for empty or invalid values (including the elements not in `sortableElements` of the content type)
+ * to keep the default order, the API would fail the whole query otherwise.
+ */
+export function getOrderArgument(sort, contentType) {
+  const match = sortPattern.exec((sort || "").trim().toLowerCase());
+
+  if (!match) {
+    return "";
+  }
+
+  const [, element, direction] = match;
+
+  if (!(sortableElements[contentType] || []).includes(element)) {
+    return "";
+  }
+
+  return `, order: { ${camelCase(element)}: ${direction} }`;
+}
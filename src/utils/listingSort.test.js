@@ -0,0 +1,23 @@
+import { getOrderArgument, getSortOptions } from "./listingSort";
+
+describe("getOrderArgument", () => {
+  it("orders by the sortable elements of the content type", () => {
+    expect(getOrderArgument("publishing_date_desc", "post")).toBe(", order: { publishingDate: desc }");
+    expect(getOrderArgument(" Title_ASC ", "post")).toBe(", order: { title: asc }");
+  });
+
+  it("keeps the default order for the invalid values", () => {
+    expect(getOrderArgument("", "post")).toBe("");
+    expect(getOrderArgument("publishing_date", "post")).toBe("");
+    expect(getOrderArgument("author_asc", "post")).toBe("");
+    expect(getOrderArgument("title_asc", "product")).toBe("");
+  });
+});
+
+describe("getSortOptions", () => {
+  it("offers the options of the sortable elements only", () => {
+    expect(getSortOptions("post").map(option => option.codename))
+      .toEqual(["publishing_date_desc", "publishing_date_asc", "title_asc", "title_desc"]);
+    expect(getSortOptions("product")).toEqual([]);
+  });
+});
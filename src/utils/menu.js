@@ -0,0 +1,65 @@
+import get from "lodash.get";
+import { matchPath } from "react-router-dom";
+import getUrlSlug from "./getUrlSlug";
+import { getLanguagePrefix, isLanguageRoot } from "./languages";
+
+const isExternalAction = (action) =>
+  get(action, "navigationItem._system_.type._system_.codename") === "external_url";
+
+/**
+ * URL of the `Action` - the external URL or the canonical URL of the navigation item (see `getUrlResolver`).
+ * The navigation item slug is used if the item is not routed (i.e. the site failed to load).
+ */
+export function getActionUrl(action, language, urlResolver) {
+  if (isExternalAction(action)) {
+    return get(action, "navigationItem.url");
+  }
+
+  const url = urlResolver && urlResolver.getUrl(get(action, "navigationItem"), language);
+  // the homepage URL is an empty string
+  return typeof url === "string"
+    ? url
+    : getLanguagePrefix(language).concat(get(action, "navigationItem.slug"));
+}
+
+/**
+ * Link attributes of the `new_window` and `no_follow` options of the `Action`.
+ */
+export function getActionLinkOptions(action) {
+  const options = get(action, "options.items", []);
+  const newWindow = options.some(item => item._system_.codename === "new_window");
+  const noFollow = options.some(item => item._system_.codename === "no_follow");
+
+  return {
+    target: newWindow ? "_blank" : undefined,
+    rel: newWindow || noFollow
+      ? `${newWindow ? "noopener" : ""} ${noFollow ? "nofollow" : ""}`
+      : undefined,
+  };
+}
+
+// submenus are the `Menu` items linked in the `actions` of the parent menu
+export function isSubmenu(item) {
+  return !!get(item, "actions.items", null);
+}
+
+export function getMenuItems(menu) {
+  return get(menu, "actions.items", []);
+}
+
+/**
+ * Whether the action leads to the page of the `pathname` (or to its parent page) or the submenu contains such action.
+ * Matches the routes the same way as the `activeClassName` of the `Link` component.
+ */
+export function isMenuItemActive(item, language, pathname, urlResolver) {
+  if (isSubmenu(item)) {
+    return getMenuItems(item).some(subitem => isMenuItemActive(subitem, language, pathname, urlResolver));
+  }
+
+  if (isExternalAction(item)) {
+    return false;
+  }
+
+  const path = getUrlSlug(getActionUrl(item, language, urlResolver));
+  return !!matchPath(pathname, { path, exact: isLanguageRoot(path) });
+}
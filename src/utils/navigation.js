@@ -0,0 +1,62 @@
+// levels of the navigation items below the homepage, deeper items are not routed
+export const navigationDepth = Math.max(parseInt(process.env.REACT_APP_NAVIGATION_DEPTH) || 5, 1);
+
+// levels of the navigation items fetched by one query, the deeper ones are fetched by the following queries
+export const navigationQueryDepth = 3;
+
+const homepageAliasPrefix = "homepage_";
+
+// the last fetched level selects the codenames of the subpages only to find out whether there are more levels
+const hasUnresolvedSubpages = (item) => (item.subpages?.items || [])
+  .some(subpage => subpage._system_ && typeof subpage.slug === "undefined");
+
+/**
+ * Navigation items of the HomePageQuery data with the subpages which were not fetched yet.
+ * @returns {{codename: string, language: string, depth: number, path: Array}[]} `path` of the item in the data
+ */
+export function getUnresolvedNavigationItems(data) {
+  const unresolvedItems = [];
+
+  const collect = (items, language, depth, path) => items.forEach((item, index) => {
+    const itemPath = path.concat([index]);
+
+    if (depth >= navigationDepth || !item.slug) {
+      return;
+    }
+    if (hasUnresolvedSubpages(item)) {
+      unresolvedItems.push({ codename: item._system_.codename, language, depth, path: itemPath });
+    } else {
+      collect(item.subpages?.items || [], language, depth + 1, itemPath.concat(["subpages", "items"]));
+    }
+  });
+
+  Object.keys(data || {})
+    .filter(key => key.startsWith(homepageAliasPrefix) && data[key])
+    .forEach(key => collect(
+      data[key].subpages.items,
+      key.substring(homepageAliasPrefix.length),
+      1,
+      [key, "subpages", "items"]
+    ));
+
+  return unresolvedItems;
+}
+
+// copy of the data with the value replaced on the path
+const setIn = (data, [key, ...path], value) => {
+  const copy = Array.isArray(data) ? data.slice(0) : { ...data };
+  copy[key] = path.length > 0 ? setIn(data[key], path, value) : value;
+
+  return copy;
+};
+
+/**
+ * Replaces the subpages of the unresolved navigation items by the ones of the NavigationSubpagesQuery result.
+ */
+export function mergeNavigationSubpages(data, unresolvedItems, subpagesData) {
+  return unresolvedItems.reduce((result, item, index) => setIn(
+    result,
+    item.path.concat(["subpages"]),
+    subpagesData[`item_${index}`]?.subpages || { items: [] }
+  ), data);
+}
@@ -0,0 +1,8 @@
+import getUrlSlug from "./getUrlSlug";
+
+// page rendered when the user navigates to a page which was not cached yet without the connection
+export const offlineSlug = "offline";
+
+export const getOfflineUrl = () => getUrlSlug(offlineSlug);
+
+export const isOffline = () => typeof navigator !== "undefined" && navigator.onLine === false;
@@ -0,0 +1,16 @@
+const PREVIEW_API_KEY = process.env.REACT_APP_KONTENT_PREVIEW_API_KEY;
+
+// how often are the active queries refetched in preview mode (milliseconds)
+export const previewRefreshInterval = parseInt(process.env.REACT_APP_KONTENT_PREVIEW_REFRESH_INTERVAL) || 10000;
+
+/**
+ * Preview mode is turned on for the whole build by setting the preview API key.
+ * The key is embedded in the bundle, so the preview build must be deployed separately with a restricted access.
+ */
+export function isPreviewBuild() {
+  return !!PREVIEW_API_KEY;
+}
+
+export function getPreviewApiKey() {
+  return PREVIEW_API_KEY;
+}
@@ -0,0 +1,3 @@
+const projectId = process.env.REACT_APP_KONTENT_PROJECT_ID || "ad25961e-f934-01dc-e1fa-f4dd41b84df2";
+
+export default projectId;
@@ -1,40 +1,79 @@
-const pageSize = 3;
-const authorQueryStringKey = "author";
-const personaQueryStringKey = "persona";
+// used when the listing page content item does not specify its page size
+export const defaultPageSize = 3;
 const pageQueryStringKey = "page";
+const sortQueryStringKey = "sort";
+const searchQueryStringKey = "q";
+const searchTypeQueryStringKey = "type";
+// filter values are stored under the filtered element codename i.e. `?author=john_doe,jane_doe&publishing_date=2021-01-01..2021-12-31`
+const valueSeparator = ",";
+const rangeSeparator = "..";
 
 const setPageAndReturnQueryString = (page, urlParams) => {
-  urlParams.set(pageQueryStringKey, page > 0 ? page : 1);
+  // the first page is addressed without the parameter
+  if (page > 1) {
+    urlParams.set(pageQueryStringKey, page);
+  }
+  else {
+    urlParams.delete(pageQueryStringKey);
+  }
+
+  const queryString = urlParams.toString();
 
-  return `?${urlParams}`;
+  return queryString ? `?${queryString}` : "";
 }
 
-export const getListingPaginationAndFilter = (location) => {
+export const getListingPagination = (location) => {
   const urlParams = new URLSearchParams(location.search);
-  const authorQuery = urlParams.get(authorQueryStringKey);
-  const personaQuery = urlParams.get(personaQueryStringKey);
   const pageQuery = urlParams.get(pageQueryStringKey);
-  let pageNumber = parseInt(pageQuery);
-
-  pageNumber = pageNumber > 0 ? pageNumber : 1;
+  const pageNumber = parseInt(pageQuery);
 
   return {
-    author: authorQuery,
-    persona: personaQuery,
-    nextPage: `${location.pathname}${setPageAndReturnQueryString(pageNumber + 1, urlParams)}`,
-    prevPage: `${location.pathname}${setPageAndReturnQueryString(pageNumber - 1, urlParams)}`,
-    limit: pageSize,
-    offset: (pageNumber - 1) * pageSize
+    // invalid values (i.e. `?page=0`) are kept so that the listing can redirect them
+    pageNumber: pageQuery === null ? 1 : pageNumber || 0,
+    getPageUrl: (page) => `${location.pathname}${setPageAndReturnQueryString(page, new URLSearchParams(location.search))}`,
+  }
+};
+
+/**
+ * Filter value is a list of selected codenames or `{from, to}` range for ranged filters.
+ */
+export const formatFilterValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.join(valueSeparator);
+  }
+
+  if (value && (value.from || value.to)) {
+    return `${value.from || ""}${rangeSeparator}${value.to || ""}`;
+  }
+
+  return value || "";
+};
+
+export const parseFilterValue = (queryValue, isRange) => {
+  if (isRange) {
+    const [from, to] = queryValue.split(rangeSeparator);
+
+    return { from: from || "", to: to || "" };
   }
+
+  return queryValue.split(valueSeparator).filter(value => value);
 };
 
-export const setAuthor = (location, author) => setParameter(location, authorQueryStringKey, author);
+export const getFilterValue = (location, filter) => parseFilterValue(getParameter(location, filter.parameterName), filter.isRange);
 
-export const getAuthor = (location) => getParameter(location, authorQueryStringKey);
+export const setFilterValue = (location, filter, value) => setParameter(location, filter.parameterName, formatFilterValue(value));
 
-export const setPersona = (location, persona) => setParameter(location, personaQueryStringKey, persona);
+export const getSort = (location) => getParameter(location, sortQueryStringKey);
 
-export const getPersona = (location) => getParameter(location, personaQueryStringKey);
+export const setSort = (location, sort) => setParameter(location, sortQueryStringKey, sort);
+
+export const getSearchQuery = (location) => getParameter(location, searchQueryStringKey);
+
+export const getSearchType = (location) => getParameter(location, searchTypeQueryStringKey);
+
+export const setSearchType = (location, type) => setParameter(location, searchTypeQueryStringKey, type);
+
+export const getSearchQueryString = (query) => `?${new URLSearchParams({ [searchQueryStringKey]: query })}`;
 
 const getParameter = (location, key) => {
   const urlParams = new URLSearchParams(location.search);
@@ -52,6 +91,9 @@ const setParameter = (location, key, value) => {
     urlParams.set(key, value);
   }
 
+  // the current page might not exist in the newly filtered items or shows different items in the new order
+  urlParams.delete(pageQueryStringKey);
+
   return {
     pathname: location.pathname,
     search: `?${urlParams}`
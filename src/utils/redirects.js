@@ -0,0 +1,138 @@
+import get from "lodash.get";
+import getUrlSlug from "./getUrlSlug";
+import { getUrlFromMappingByCodename } from "./getUrlFromMapping";
+import { getLanguageFromSlug } from "./languages";
+
+export const redirectStatusCodes = {
+  permanent: 301,
+  temporary: 302,
+};
+
+export const redirectsFileName = "_redirects";
+
+const isAbsoluteUrl = (url) => /^[a-z][a-z\d+\-.]*:\/\//i.test(url);
+
+// mappings key of the path without the slashes around i.e. `/blog/` -> `blog`
+const trimSlashes = (path) => path.replace(/^\/+|\/+$/g, "");
+
+/**
+ * Previous slugs of the navigation item or listed item - one slug per line or separated by commas.
+ */
+export const parsePreviousSlugs = (text) => (text || "")
+  .split(/[\s,]+/)
+  .map(trimSlashes)
+  .filter(slug => slug);
+
+/**
+ * Canonical form of the mappings key - lower case without the trailing and duplicate slashes.
+ */
+export const normalizeSlug = (slug) => trimSlashes(slug.replace(/\/{2,}/g, "/")).toLowerCase();
+
+// `from_path` of the rule i.e. `/kontent-sample-app-graphql-react/old-blog` or `old-blog`
+const getRuleSlug = (fromPath) => {
+  const path = (fromPath || "").trim();
+  const publicUrl = process.env.PUBLIC_URL;
+
+  return normalizeSlug(publicUrl && path.startsWith(publicUrl) ? path.substring(publicUrl.length) : path);
+};
+
+const getRuleTarget = (rule, mappings, language) => {
+  const itemCodename = get(rule, "toItem.items[0]._system_.codename", null);
+
+  if (itemCodename) {
+    const slug = getUrlFromMappingByCodename(mappings, itemCodename, language)
+      ?? getUrlFromMappingByCodename(mappings, itemCodename);
+    return typeof slug !== "undefined" ? getUrlSlug(slug) : null;
+  }
+
+  const url = (rule.toUrl || "").trim();
+  return url && !isAbsoluteUrl(url) ? getUrlSlug(trimSlashes(url)) : url || null;
+};
+
+/**
+ * Redirects by the mappings key of the requested URL: the redirect rules managed as `Redirect` items
+ * and the previous slugs of the routes (the current routes always win).
+ * @param {Object[]} rules - items of the `redirect_All` collection
+ * @param {Object} mappings - site mappings with the `previousSlugs` of the routes
+ * @returns {Object} `{url, statusCode}` by the mappings key, `url` includes the PUBLIC_URL
+ */
+export function getRedirects(rules, mappings) {
+  const redirects = {};
+
+  Object.keys(mappings).forEach(slug => {
+    (mappings[slug].previousSlugs || []).forEach(previousSlug => {
+      if (!mappings[previousSlug] && !redirects[previousSlug]) {
+        redirects[previousSlug] = { url: getUrlSlug(slug), statusCode: redirectStatusCodes.permanent };
+      }
+    });
+  });
+
+  // rules are explicit, so they override the previous slugs
+  (rules || []).forEach(rule => {
+    const slug = getRuleSlug(rule.fromPath);
+    const url = getRuleTarget(rule, mappings, getLanguageFromSlug(slug));
+    const type = get(rule, "redirectType.items[0]._system_.codename", null);
+
+    if (mappings[slug] || !url || slug.split("/").some(part => part === "..")) {
+      console.error(`Redirect from "${rule.fromPath}" is ignored, the path is routed or the target is unknown.`);
+      return;
+    }
+
+    redirects[slug] = {
+      url,
+      statusCode: redirectStatusCodes[type] || redirectStatusCodes.temporary,
+    };
+  });
+
+  return redirects;
+}
+
+/**
+ * Redirect of the URL not found in the mappings, `null` if there is none.
+ * The URLs differing by the case or the slashes only are redirected to the routed ones.
+ * @param {string} slug - mappings key of the requested URL (see `getSlugFromPathName`)
+ */
+export function resolveRedirect(redirects, mappings, slug) {
+  if (redirects[slug]) {
+    return redirects[slug];
+  }
+
+  const normalizedSlug = normalizeSlug(slug);
+
+  if (normalizedSlug === slug) {
+    return null;
+  }
+  if (mappings[normalizedSlug]) {
+    return { url: getUrlSlug(normalizedSlug), statusCode: redirectStatusCodes.permanent };
+  }
+
+  return redirects[normalizedSlug] || null;
+}
+
+/**
+ * Redirects in the `_redirects` file format of the static hostings (i.e. Netlify, Cloudflare pages).
+ */
+export function getRedirectsFileLines(redirects) {
+  return Object.keys(redirects)
+    .map(slug => `${getUrlSlug(slug)} ${redirects[slug].url} ${redirects[slug].statusCode}`);
+}
+
+/**
+ * Page redirecting to the URL for the static hostings without the redirects support (i.e. GitHub pages).
+ */
+export function getRedirectPage(url) {
+  const escapedUrl = url.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="refresh" content="0; url=${escapedUrl}">
+<link rel="canonical" href="${escapedUrl}">
+<meta name="robots" content="noindex">
+<title>Redirecting…</title>
+</head>
+<body><a href="${escapedUrl}">${escapedUrl}</a></body>
+</html>
+`;
+}
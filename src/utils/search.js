@@ -0,0 +1,235 @@
+import get from "lodash.get";
+import { getLanguagePrefix, languages } from "./languages";
+
+const searchSlug = "search";
+export const searchIndexFileName = "search-index.json";
+
+// labels of the searchable content types used as facets
+export const searchableTypes = {
+  post: "Posts",
+  simple_page: "Pages",
+  landing_page: "Landing pages",
+};
+
+// search page is available in every language i.e. `/search` and `/de/search`
+export const getSearchSlug = (language) => getLanguagePrefix(language).concat([searchSlug]);
+
+/**
+ * Route language of the search page URL, `undefined` for other URLs.
+ * @param {string} slug - path without the PUBLIC_URL and leading slash
+ */
+export function getSearchPageLanguage(slug) {
+  const language = languages.find(({ codename }) => getSearchSlug(codename).join("/") === slug);
+
+  return language && language.codename;
+}
+
+const titleWeight = 3;
+const textWeight = 1;
+
+const htmlEntities = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": "\"",
+  "&#39;": "'",
+  "&nbsp;": " ",
+};
+
+export const stripHtml = (html) => (html || "")
+  .replace(/<[^>]*>/g, " ")
+  .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => htmlEntities[entity])
+  .replace(/\s+/g, " ")
+  .trim();
+
+// diacritics are removed so that i.e. "cafe" matches "café"
+const normalize = (text) => text
+  .normalize("NFD")
+  .replace(/[\u0300-\u036f]/g, "")
+  .toLowerCase();
+
+export const tokenize = (text) => normalize(text || "")
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(term => term);
+
+const getSectionTexts = (section) => [
+  get(section, "title", null),
+  stripHtml(get(section, "content.html", null)),
+  stripHtml(get(section, "subtitle.html", null)),
+  ...get(section, "features.items", []).flatMap(feature => [
+    get(feature, "title", null),
+    stripHtml(get(feature, "content.html", null)),
+  ]),
+];
+
+const getContentDocument = (item, contentType) => {
+  switch (contentType) {
+    case "post":
+      return {
+        title: item.title,
+        texts: [item.excerpt, item.subtitle, stripHtml(get(item, "content.html", null))],
+      };
+    case "simple_page":
+      return {
+        title: item.title,
+        texts: [item.subtitle, stripHtml(get(item, "content.html", null))],
+      };
+    case "landing_page":
+      return {
+        title: null,
+        texts: get(item, "sections.items", []).flatMap(getSectionTexts),
+      };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Creates searchable documents of the pages of one route language from the SearchIndexQuery data.
+ * Documents reference the navigation codename to resolve the URL by `getUrlFromMappingByCodename`.
+ */
+export function getSearchDocuments(data, mappings, routeLanguage) {
+  const items = [
+    ...get(data, "post_All.items", []),
+    ...get(data, "simplePage_All.items", []),
+    ...get(data, "landingPage_All.items", []),
+  ];
+
+  return Object.keys(mappings)
+    .map(slug => mappings[slug])
+    .filter(mapping => mapping.routeLanguage === routeLanguage && searchableTypes[mapping.contentType])
+    .reduce((documents, mapping) => {
+      const item = items.find(item => item._system_.codename === mapping.contentCodename);
+      const content = item && getContentDocument(item, mapping.contentType);
+
+      if (content) {
+        documents.push({
+          codename: mapping.navigationCodename,
+          type: mapping.contentType,
+          title: content.title || get(mapping, "seo.title", null) || mapping.title,
+          text: content.texts.filter(text => text).join(" "),
+        });
+      }
+
+      return documents;
+    }, []);
+}
+
+/**
+ * Inverted index of the documents - weights of the documents (by their position) for every term.
+ * The result is serializable, so it could be generated at build time.
+ */
+export function createSearchIndex(documents) {
+  // terms like `constructor` must not collide with the object prototype
+  const terms = Object.create(null);
+
+  const addTerms = (text, documentIndex, weight) => tokenize(text).forEach(term => {
+    terms[term] = terms[term] || {};
+    terms[term][documentIndex] = (terms[term][documentIndex] || 0) + weight;
+  });
+
+  documents.forEach((document, index) => {
+    addTerms(document.title, index, titleWeight);
+    addTerms(document.text, index, textWeight);
+  });
+
+  return { documents, terms };
+}
+
+/**
+ * Finds the documents containing all the query terms (the last one might be incomplete, so prefixes match as well).
+ * @param {Object} index - result of `createSearchIndex`
+ * @param {string} query - text entered by the user
+ * @param {string} [type] - content type to limit the results to
+ * @returns {{results: Object[], facets: Object}} documents ordered by relevance and the number of results by content type
+ */
+export function search(index, query, type) {
+  const queryTerms = tokenize(query);
+
+  if (queryTerms.length === 0) {
+    return { results: [], facets: {} };
+  }
+
+  const termKeys = Object.keys(index.terms);
+  const scores = queryTerms
+    .map(queryTerm => termKeys
+      .filter(term => term.startsWith(queryTerm))
+      .reduce((termScores, term) => {
+        Object.keys(index.terms[term]).forEach(documentIndex => {
+          termScores[documentIndex] = (termScores[documentIndex] || 0) + index.terms[term][documentIndex];
+        });
+        return termScores;
+      }, {}))
+    .reduce((result, termScores) => Object.keys(result)
+      .filter(documentIndex => termScores[documentIndex])
+      .reduce((intersection, documentIndex) => {
+        intersection[documentIndex] = result[documentIndex] + termScores[documentIndex];
+        return intersection;
+      }, {}));
+
+  const matches = Object.keys(scores)
+    .map(documentIndex => ({ ...index.documents[documentIndex], score: scores[documentIndex] }))
+    .sort((a, b) => b.score - a.score);
+
+  const facets = matches.reduce((result, match) => {
+    result[match.type] = (result[match.type] || 0) + 1;
+    return result;
+  }, {});
+
+  return {
+    results: type ? matches.filter(match => match.type === type) : matches,
+    facets,
+  };
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Splits the text to parts to highlight the words starting with the query terms.
+ * @returns {{text: string, highlighted: boolean}[]}
+ */
+export function getHighlightedParts(text, query) {
+  const queryTerms = tokenize(query);
+
+  if (!text || queryTerms.length === 0) {
+    return [{ text: text || "", highlighted: false }];
+  }
+
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${queryTerms.map(escapeRegExp).join("|")})[\\p{L}\\p{N}]*`, "giu");
+  const parts = [];
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const start = match.index + match[1].length;
+    const end = match.index + match[0].length;
+
+    if (start > lastIndex) {
+      parts.push({ text: text.substring(lastIndex, start), highlighted: false });
+    }
+    parts.push({ text: text.substring(start, end), highlighted: true });
+    lastIndex = end;
+  }
+
+  if (lastIndex < text.length) {
+    parts.push({ text: text.substring(lastIndex), highlighted: false });
+  }
+
+  return parts;
+}
+
+/**
+ * Part of the text around the first match of the query.
+ */
+export function getSnippet(text, query, length = 200) {
+  if (!text || text.length <= length) {
+    return text || "";
+  }
+
+  const firstMatch = getHighlightedParts(text, query).find(part => part.highlighted);
+  const matchIndex = firstMatch ? text.indexOf(firstMatch.text) : 0;
+  const start = Math.max(0, Math.min(matchIndex - Math.floor(length / 4), text.length - length));
+  const end = start + length;
+
+  return `${start > 0 ? "…" : ""}${text.substring(start, end).trim()}${end < text.length ? "…" : ""}`;
+}
@@ -0,0 +1,25 @@
+// the worker is generated by the production build only (see ~/src/service-worker.js)
+const isServiceWorkerSupported = () =>
+  process.env.NODE_ENV === "production" && typeof navigator !== "undefined" && "serviceWorker" in navigator;
+
+/**
+ * Registers the service worker caching the application shell, visited pages and Kontent assets.
+ * Set `REACT_APP_SERVICE_WORKER` to `false` to unregister it.
+ */
+export function registerServiceWorker() {
+  if (!isServiceWorkerSupported()) {
+    return;
+  }
+
+  window.addEventListener("load", () => {
+    if (process.env.REACT_APP_SERVICE_WORKER === "false") {
+      navigator.serviceWorker.getRegistrations()
+        .then(registrations => registrations.forEach(registration => registration.unregister()));
+      return;
+    }
+
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error("Service worker registration failed", error));
+  });
+}
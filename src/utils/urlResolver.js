@@ -0,0 +1,108 @@
+import { languages } from "./languages";
+
+const resolvers = new WeakMap();
+
+const getLevels = (slug) => slug ? slug.split("/").length : 0;
+
+// routes with fewer levels first, the order of the mappings (the navigation order) is kept on a tie
+const sortRoutes = (routes) => Object.keys(routes).forEach(key => {
+  routes[key].sort((slug, otherSlug) => getLevels(slug) - getLevels(otherSlug));
+});
+
+const addRoute = (routes, reference, language, slug) => {
+  if (!reference) {
+    return;
+  }
+
+  const key = `${language}:${reference}`;
+  routes[key] = routes[key] || [];
+  if (!routes[key].includes(slug)) {
+    routes[key].push(slug);
+  }
+};
+
+// an item is referenced by its codename or id - as a string or by its `_system_` (or an object with both)
+const getReferences = (reference) => {
+  if (!reference) {
+    return [];
+  }
+  if (typeof reference === "string") {
+    return [reference];
+  }
+
+  const system = reference._system_ || reference;
+  return [system.codename, system.id].filter(value => value);
+};
+
+function createUrlResolver(mappings) {
+  // navigation items identify one route, content items might be reachable from several parents
+  const navigationRoutes = {};
+  const contentRoutes = {};
+
+  Object.keys(mappings).forEach(slug => {
+    const mapping = mappings[slug];
+
+    addRoute(navigationRoutes, mapping.navigationCodename, mapping.routeLanguage, slug);
+    addRoute(navigationRoutes, mapping.navigationId, mapping.routeLanguage, slug);
+    addRoute(contentRoutes, mapping.contentCodename, mapping.routeLanguage, slug);
+    addRoute(contentRoutes, mapping.contentId, mapping.routeLanguage, slug);
+  });
+  sortRoutes(navigationRoutes);
+  sortRoutes(contentRoutes);
+
+  const getRoutesInLanguage = (references, language) => references
+    .map(reference => navigationRoutes[`${language}:${reference}`] || contentRoutes[`${language}:${reference}`])
+    .find(routes => routes) || [];
+
+  const getRoutes = (reference, language) => {
+    const references = getReferences(reference);
+
+    if (language) {
+      return getRoutesInLanguage(references, language);
+    }
+
+    // the first language the item is routed in
+    return languages
+      .map(({ codename }) => getRoutesInLanguage(references, codename))
+      .find(routes => routes.length > 0) || [];
+  };
+
+  return {
+    /**
+     * All the mappings keys of the item, the canonical one is the first.
+     */
+    getRoutes,
+    /**
+     * Canonical mappings key of the item, `undefined` if it is not routed (in the language).
+     */
+    getUrl: (reference, language) => getRoutes(reference, language)[0],
+    /**
+     * Canonical mappings key of the content displayed on the route, differs from the `slug`
+     * if the content is reachable from several parents (i.e. a post listed under several listing pages).
+     */
+    getCanonicalUrl: (slug) => {
+      const mapping = mappings[slug];
+      if (!mapping) {
+        return undefined;
+      }
+
+      const routes = contentRoutes[`${mapping.routeLanguage}:${mapping.contentCodename}`] || [];
+      return routes.length > 0 ? routes[0] : slug;
+    },
+  };
+}
+
+/**
+ * URL resolver of the mappings built by `getSiteMappings` - resolves the URLs (mappings keys) of the content items
+ * by the codename or id of their navigation item or of the content itself (i.e. a post or a simple page).
+ * The resolver is created once for the mappings object.
+ * @param {Object} mappings
+ * @returns {{getUrl: Function, getRoutes: Function, getCanonicalUrl: Function}}
+ */
+export function getUrlResolver(mappings) {
+  if (!resolvers.has(mappings)) {
+    resolvers.set(mappings, createUrlResolver(mappings));
+  }
+
+  return resolvers.get(mappings);
+}